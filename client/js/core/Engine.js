@@ -7,10 +7,14 @@ import { World } from '../world/World.js';
 import { PlayerManager } from '../entities/PlayerManager.js';
 import { SessionManager } from '../managers/SessionManager.js';
 import { BulletManager } from '../managers/BulletManager.js';
+import { WeaponManager } from '../managers/WeaponManager.js';
 import { BirdManager } from '../managers/BirdManager.js';
 import { ScoreManager } from '../managers/ScoreManager.js';
 import { UIManager } from '../managers/UIManager.js';
+import { WaveManager } from '../managers/WaveManager.js';
 import { VoiceManager } from '../managers/VoiceManager.js';
+import { NetworkDebugOverlay } from '../ui/NetworkDebugOverlay.js';
+import { NetworkStatsHUD } from '../ui/NetworkStatsHUD.js';
 
 export class Engine {
     constructor() {
@@ -55,19 +59,24 @@ export class Engine {
         
         // Initialize managers
         this.inputManager = new InputManager(this);
+        this.networkManager = new NetworkManager(this); // Before the managers that register replicated kinds
         this.bulletManager = new BulletManager(this);
+        this.weaponManager = new WeaponManager(this);
         this.birdManager = new BirdManager(this);
-        this.networkManager = new NetworkManager(this);
         this.scoreManager = new ScoreManager(this);
         this.uiManager = new UIManager(this);
+        this.waveManager = new WaveManager(this);
         this.playerManager = new PlayerManager(this);
         this.sessionManager = new SessionManager(this);
         this.world = new World(this);
         this.voiceManager = new VoiceManager(this);
+        this.networkDebugOverlay = new NetworkDebugOverlay(this);
+        this.networkStatsHUD = new NetworkStatsHUD(this);
 
         // Setup network events after connection
         this.networkManager.onConnect = () => {
             this.networkManager.ws.addEventListener('message', (event) => {
+                if (typeof event.data !== 'string') return; // Binary position frame
                 const message = JSON.parse(event.data);
                 if (message.type === 'id' && !this.playerManager.localPlayer) {
                     this.playerManager.createLocalPlayer();
@@ -128,9 +137,12 @@ export class Engine {
         // Update all managers
         this.inputManager.update(delta, frame);
         this.playerManager.update(delta, frame);
+        this.weaponManager.update();
         this.bulletManager.update(delta);
+        this.waveManager.update();
         this.birdManager.update(delta);
         this.uiManager.update();
+        this.sessionManager.update();
         this.uiManager.updateTimer(); // Update timer every frame
         this.scoreManager.update(delta);
         this.world.update(); // Update terrain shader
@@ -143,15 +155,4 @@ export class Engine {
         // Render the scene
         this.renderer.render(this.scene, this.camera);
     }
-
-    handleNetworkMessage(message, senderId) {
-        switch (message.type) {
-            case 'gameStart':
-                this.uiManager.handleNetworkGameStart(message.data);
-                break;
-            case 'gameEnd':
-                this.uiManager.handleNetworkGameEnd(message.data);
-                break;
-        }
-    }
 }
@@ -1,56 +1,131 @@
 import * as THREE from 'three';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import * as SkeletonUtils from 'three/addons/utils/SkeletonUtils.js';
+import { getBirdType, BIRD_LIFESPAN } from '/shared/birdTypes.mjs';
 
+const MODEL_PATH = '/assets/models/animated_bird_pigeon.glb';
+const MODEL_SCALE = 0.09; // The pigeon is ~4.4 units wing to wing; this makes it ~40cm at size 1
+const FLAP_CLIP = 'BirdRig|Flapping';
+const GLIDE_CLIP = 'BirdRig|Gliding';
+
+// Loaded once and cloned per bird
+let pigeonPromise = null;
+
+// A flock member: its path comes from the shared Flock simulation, so all it does itself
+// is follow it, face where it's going and flap. Its species (shared/birdTypes.mjs) sets
+// how it looks and how much it takes to bring down.
 export class Bird extends THREE.Object3D {
-    constructor(position = new THREE.Vector3(), direction = new THREE.Vector3(1, 0, 0)) {
+    static loadModel() {
+        if (!pigeonPromise) {
+            pigeonPromise = new GLTFLoader().loadAsync(MODEL_PATH).catch(error => {
+                console.error('Error loading pigeon model:', error);
+                return null;
+            });
+        }
+        return pigeonPromise;
+    }
+
+    constructor(flock, index, type) {
         super();
-        
-        // Create a smaller green sphere (70% smaller)
-        const geometry = new THREE.SphereGeometry(0.15, 16, 16);
-        const material = new THREE.MeshStandardMaterial({ 
-            color: 0x00ff00,
+
+        this.flock = flock;
+        this.flockIndex = index;
+        this.type = type;
+        this.species = getBirdType(type);
+        this.health = this.species.health;
+        this.hitRadius = this.species.hitRadius;
+        this.points = this.species.points;
+        this.velocity = new THREE.Vector3();
+        this.spawnTime = Date.now(); // Server time once spawned through BirdManager
+        this.lifespan = BIRD_LIFESPAN;
+        this.mixer = null;
+        this.flashTime = 0; // Seconds left of the flicker after a non-fatal hit
+
+        this.moveTo(flock.time);
+        this.loadModel();
+    }
+
+    async loadModel() {
+        const gltf = await Bird.loadModel();
+        if (!gltf) {
+            this.createBasicBird();
+            return;
+        }
+
+        const model = SkeletonUtils.clone(gltf.scene);
+        model.scale.setScalar(MODEL_SCALE * this.species.size);
+        if (this.species.tint !== null) {
+            this.tint(model, this.species.tint);
+        }
+        this.add(model);
+
+        // Start each bird at a different point in its wingbeat so the flock doesn't flap in unison
+        this.mixer = new THREE.AnimationMixer(model);
+        const flap = THREE.AnimationClip.findByName(gltf.animations, FLAP_CLIP);
+        const glide = THREE.AnimationClip.findByName(gltf.animations, GLIDE_CLIP);
+        this.flapAction = flap && this.mixer.clipAction(flap).play();
+        this.glideAction = glide && this.mixer.clipAction(glide).play();
+        this.mixer.setTime(Math.random() * 4);
+    }
+
+    // Clones share the pigeon's materials, so give this bird its own before colouring it
+    tint(model, color) {
+        model.traverse(child => {
+            if (child.isMesh) {
+                child.material = child.material.clone();
+                child.material.color.multiply(new THREE.Color(color));
+            }
+        });
+    }
+
+    // Fallback in case the model fails to load
+    createBasicBird() {
+        const geometry = new THREE.SphereGeometry(this.hitRadius, 16, 16);
+        const material = new THREE.MeshStandardMaterial({
+            color: this.species.tint ?? 0x00ff00,
             metalness: 0.5,
             roughness: 0.5,
             emissive: 0x002200
         });
-        
-        this.mesh = new THREE.Mesh(geometry, material);
-        this.add(this.mesh);
-        
-        // Set initial position
-        this.position.copy(position);
-        this.spawnTime = Date.now();
-        this.lifespan = 50000; // 50 seconds lifespan
-
-        // Set up collision box
-        this.boundingBox = new THREE.Box3();
-        this.updateBoundingBox();
+        this.add(new THREE.Mesh(geometry, material));
     }
 
-    update(delta) {
-        const currentTime = Date.now();
+    moveTo(time) {
+        this.position.fromArray(this.flock.positionAt(this.flockIndex, time));
+        this.velocity.fromArray(this.flock.velocityOf(this.flockIndex));
+        // The pigeon faces +Z, which is what lookAt points at the target
+        this.lookAt(this.position.clone().add(this.velocity));
+    }
 
+    // The flock must already be advanced to currentTime
+    update(delta, currentTime = Date.now()) {
         // Check lifespan
         if (currentTime - this.spawnTime > this.lifespan) {
             return true; // Bird should be removed
         }
 
-        // Update bounding box
-        this.updateBoundingBox();
+        this.moveTo(currentTime);
+
+        if (this.mixer) {
+            // Flap while climbing, glide while descending
+            const glide = THREE.MathUtils.clamp(-this.velocity.y / this.velocity.length() * 3, 0, 1);
+            if (this.flapAction) this.flapAction.setEffectiveWeight(1 - glide);
+            if (this.glideAction) this.glideAction.setEffectiveWeight(glide);
+            this.mixer.update(delta);
+        }
+
+        if (this.flashTime > 0) {
+            this.flashTime -= delta;
+            this.visible = this.flashTime <= 0 || Math.floor(this.flashTime * 30) % 2 === 0;
+        }
 
         return false;
     }
 
+    // Returns whether the bird is down; only the server's verdict actually removes it
     takeDamage(damage) {
-        this.health -= damage;
+        this.health = Math.max(0, this.health - damage);
+        this.flashTime = 0.3;
         return this.health <= 0;
     }
-
-    updateBoundingBox() {
-        if (this.mesh) {
-            this.mesh.geometry.computeBoundingBox();
-            const meshBox = this.mesh.geometry.boundingBox.clone();
-            meshBox.applyMatrix4(this.mesh.matrixWorld);
-            this.boundingBox.copy(meshBox);
-        }
-    }
 }
@@ -1,48 +1,58 @@
 import * as THREE from 'three';
+import { projectilePositionAt, projectileVelocityAt, BULLET_LIFESPAN } from '/shared/ballistics.mjs';
+
+const FORWARD = new THREE.Vector3(0, 0, 1);
 
 export class Bullet extends THREE.Object3D {
-    constructor(position, direction, speed = 0.3, lifespan = 2000) {
+    // `flight` ({ speed, gravity, drag }, see shared/ballistics.mjs) and `projectile`, its look,
+    // come from the firing weapon in shared/weapons.mjs
+    constructor(position, direction, flight = { speed: 22 }, lifespan = BULLET_LIFESPAN, projectile = { shape: 'ball', color: 0xff0000, radius: 0.05 }) {
         super();
         
         // Create bullet mesh
-        const geometry = new THREE.SphereGeometry(0.5, 16, 16);
         const material = new THREE.MeshPhongMaterial({
-            color: 0xff0000,
-            emissive: 0xff0000,
+            color: projectile.color,
+            emissive: projectile.color,
             emissiveIntensity: 0.5,
             shininess: 100
         });
-        this.bulletMesh = new THREE.Mesh(geometry, material);
+        if (projectile.shape === 'arrow') {
+            // A shaft along +Z, which the orientation below points down the flight path
+            const geometry = new THREE.CylinderGeometry(projectile.radius, projectile.radius, 0.5, 6);
+            geometry.rotateX(Math.PI / 2);
+            this.bulletMesh = new THREE.Mesh(geometry, material);
+        } else {
+            this.bulletMesh = new THREE.Mesh(new THREE.SphereGeometry(projectile.radius, 16, 16), material);
+        }
         this.add(this.bulletMesh);
         
         // Set initial position and properties
         this.position.copy(position);
-        this.previousPosition = position.clone(); // Store previous position
+        this.origin = position.clone();
+        this.previousPosition = position.clone(); // Start of this frame's swept segment
         this.direction = direction.clone().normalize(); // Clone and normalize direction
-        this.speed = speed;
-        this.creationTime = Date.now();
+        this.flight = flight;
+        this.age = 0; // Seconds in flight
         this.lifespan = lifespan;
 
-        // Set bullet orientation to match direction
-        const quaternion = new THREE.Quaternion();
-        const up = new THREE.Vector3(0, 1, 0);
-        quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, 1), this.direction);
-        this.setRotationFromQuaternion(quaternion);
+        this.setRotationFromQuaternion(new THREE.Quaternion().setFromUnitVectors(FORWARD, this.direction));
     }
 
-    update() {
-        // Store previous position before moving
+    // Moves by real elapsed time, so the path is the same at any frame rate
+    update(delta) {
         this.previousPosition.copy(this.position);
-        
-        // Move bullet along its direction
-        const movement = this.direction.clone().multiplyScalar(this.speed);
-        this.position.add(movement);
-        
-        // Check if bullet should be destroyed
-        const age = Date.now() - this.creationTime;
-        if (age > this.lifespan) {
-            return true; // Should be removed
+        this.age += delta;
+
+        const origin = this.origin.toArray();
+        const direction = this.direction.toArray();
+        this.position.fromArray(projectilePositionAt(origin, direction, this.flight, this.age));
+
+        // Point along the path as gravity bends it
+        if (this.flight.gravity) {
+            const velocity = new THREE.Vector3().fromArray(projectileVelocityAt(direction, this.flight, this.age));
+            this.quaternion.setFromUnitVectors(FORWARD, velocity.normalize());
         }
-        return false;
+
+        return this.age * 1000 > this.lifespan; // Should be removed
     }
 }
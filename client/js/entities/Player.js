@@ -1,5 +1,5 @@
 import * as THREE from 'three';
-import { RifleModel } from '../models/RifleModel.js';
+import { SnapshotBuffer } from '../network/SnapshotBuffer.js';
 
 export class Player {
     constructor(engine, id, isLocal) {
@@ -14,6 +14,15 @@ export class Player {
         this.setupMesh();
         if (isLocal) {
             this.setupLocalPlayer();
+        } else {
+            // Remote poses are rendered ~100ms behind when they were sent so we can interpolate between updates
+            this.snapshots = new SnapshotBuffer();
+            this.poseTarget = {
+                position: this.mesh.position,
+                headPosition: this.headGroup.position,
+                headQuaternion: this.headGroup.quaternion,
+                controllers: this.controllers
+            };
         }
     }
 
@@ -110,15 +119,12 @@ export class Player {
         // Create controllers
         this.controllers = [];
         
-        // Left controller (empty group for tracking)
-        const leftController = new THREE.Group();
-        this.controllers.push(leftController);
-        this.mesh.add(leftController);
-
-        // Right controller (rifle)
-        const rightController = new RifleModel();
-        this.controllers.push(rightController);
-        this.mesh.add(rightController);
+        // Empty groups for tracking; WeaponManager puts a remote player's guns in them
+        for (let i = 0; i < 2; i++) {
+            const controller = new THREE.Group();
+            this.controllers.push(controller);
+            this.mesh.add(controller);
+        }
 
         this.engine.scene.add(this.mesh);
     }
@@ -213,6 +219,8 @@ export class Player {
                 // Update orbit controls target
                 this.engine.controls.target.copy(this.mesh.position);
             }
+        } else {
+            this.snapshots.sample(this.engine.networkManager.getServerTime(), this.poseTarget);
         }
 
         // Apply friction
@@ -241,42 +249,25 @@ export class Player {
     }
 
     updateFromNetwork(data) {
-        if (!this.mesh) return;
-        
-        if (data.position) {
-            // Update base position
-            const targetPosition = new THREE.Vector3().fromArray(data.position);
-            this.mesh.position.copy(targetPosition);
-        }
-        
-        if (data.headPosition) {
-            // Update head position directly from camera position
-            this.headGroup.position.fromArray(data.headPosition);
-        }
+        if (!this.mesh || this.isLocal) return;
+        // Placed by when the sender took the pose, not when it happened to arrive
+        const now = this.engine.networkManager.getServerTime();
+        this.snapshots.push(Number.isFinite(data.time) ? data.time : now, data, now);
+    }
 
-        if (data.headRotation) {
-            // Convert Euler array to Quaternion for smoother rotation
-            const quaternion = new THREE.Quaternion().setFromEuler(
-                new THREE.Euler(
-                    data.headRotation[0],
-                    data.headRotation[1],
-                    data.headRotation[2]
-                )
-            );
-            this.headGroup.quaternion.copy(quaternion);
-        }
+    setReconnecting(isReconnecting) {
+        this.isReconnecting = isReconnecting;
 
-        if (data.controllers) {
-            data.controllers.forEach((controllerData, index) => {
-                if (this.controllers[index]) {
-                    const targetPos = new THREE.Vector3().fromArray(controllerData.position);
-                    const targetRot = new THREE.Quaternion().fromArray(controllerData.rotation);
-                    
-                    this.controllers[index].position.lerp(targetPos, 0.3);
-                    this.controllers[index].quaternion.slerp(targetRot, 0.3);
-                }
-            });
-        }
+        // Fade the avatar while we wait for the player to come back
+        this.mesh.traverse(child => {
+            if (!child.isMesh) return;
+            if (child.userData.baseOpacity === undefined) {
+                child.userData.baseOpacity = child.material.opacity;
+                child.userData.baseTransparent = child.material.transparent;
+            }
+            child.material.transparent = isReconnecting || child.userData.baseTransparent;
+            child.material.opacity = isReconnecting ? 0.3 : child.userData.baseOpacity;
+        });
     }
 
     getNetworkUpdate() {
@@ -31,6 +31,13 @@ export class PlayerManager {
         }
     }
 
+    setPlayerReconnecting(id, isReconnecting) {
+        const player = this.players.get(id);
+        if (player) {
+            player.setReconnecting(isReconnecting);
+        }
+    }
+
     updatePlayer(id, data) {
         const player = this.players.get(id);
         if (player) {
@@ -0,0 +1,101 @@
+import * as THREE from 'three';
+import { getWeaponType, isWeaponType, DEFAULT_WEAPON } from '/shared/weapons.mjs';
+import { RifleModel } from '../models/RifleModel.js';
+import { ShotgunModel } from '../models/ShotgunModel.js';
+import { BowModel } from '../models/BowModel.js';
+
+const MODELS = {
+    rifle: RifleModel,
+    shotgun: ShotgunModel,
+    bow: BowModel
+};
+
+// A gun in one hand: its model plus the magazine, fire rate, reload and (for the bow)
+// draw timing from shared/weapons.mjs. It only decides when a shot goes off; the
+// WeaponManager turns shots into bullets.
+export class Weapon extends THREE.Group {
+    // Just the model, e.g. for a remote player's hands
+    static createModel(type) {
+        return new MODELS[isWeaponType(type) ? type : DEFAULT_WEAPON]();
+    }
+
+    constructor(type = DEFAULT_WEAPON) {
+        super();
+        this.model = null;
+        this.setType(type);
+    }
+
+    // Switching weapons always comes up with a full magazine
+    setType(type) {
+        this.type = isWeaponType(type) ? type : DEFAULT_WEAPON;
+        this.config = getWeaponType(this.type);
+        this.ammo = this.config.magazine;
+        this.reloadEndTime = 0;
+        this.nextShotTime = 0;
+        this.chargeStartTime = null; // Set while a bow is being drawn
+
+        if (this.model) this.remove(this.model);
+        this.model = Weapon.createModel(this.type);
+        this.add(this.model);
+    }
+
+    get isReloading() {
+        return this.reloadEndTime > 0;
+    }
+
+    get isCharging() {
+        return this.chargeStartTime !== null;
+    }
+
+    canFire(now) {
+        return this.ammo > 0 && !this.isReloading && now >= this.nextShotTime;
+    }
+
+    // Returns a shot ({ charge }) for weapons that fire on press; a bow starts drawing instead
+    pressTrigger(now) {
+        if (!this.canFire(now)) return null;
+
+        if (this.config.chargeTime) {
+            this.chargeStartTime = now;
+            return null;
+        }
+        return this.fire(now, 1);
+    }
+
+    // Looses a drawn bow; other weapons have nothing to do on release
+    releaseTrigger(now) {
+        if (!this.isCharging) return null;
+
+        const charge = Math.min(1, (now - this.chargeStartTime) / this.config.chargeTime);
+        this.chargeStartTime = null;
+        return this.fire(now, charge);
+    }
+
+    fire(now, charge) {
+        this.ammo--;
+        this.nextShotTime = now + this.config.fireInterval;
+        return { charge };
+    }
+
+    // Returns whether a reload started; a full or reloading magazine is left alone
+    reload(now) {
+        if (this.isReloading || this.ammo === this.config.magazine) return false;
+
+        this.chargeStartTime = null;
+        this.reloadEndTime = now + this.config.reloadTime;
+        return true;
+    }
+
+    update(now) {
+        if (this.isReloading && now >= this.reloadEndTime) {
+            this.reloadEndTime = 0;
+            this.ammo = this.config.magazine;
+        }
+
+        if (this.model instanceof BowModel) {
+            const draw = this.isCharging ? Math.min(1, (now - this.chargeStartTime) / this.config.chargeTime) : 0;
+            this.model.setDraw(draw);
+            this.model.setLoaded(this.ammo > 0 && !this.isReloading);
+        }
+    }
+}
@@ -61,8 +61,7 @@ export class InputManager {
         
         document.addEventListener('mousedown', (event) => {
             if (event.button === 0) { // Left click
-                this.mouseButtons.left = true;
-                this.handlePCShoot();
+                this.mouseButtons.left = true; // Shooting is handled by WeaponManager
             }
         });
         
@@ -76,6 +75,7 @@ export class InputManager {
             left: false,
             right: false
         };
+        this.lastStatsButtonState = false; // Left Y toggles the network stats HUD
     }
 
     initializeControllers() {
@@ -214,7 +214,7 @@ export class InputManager {
         
         if (!wasPressed) {
             console.log('Primary interaction triggered');
-            // Sound is now handled by BulletManager
+            // Shooting is handled by WeaponManager
         }
         
         this.lastTriggerState[controller] = true;
@@ -278,6 +278,13 @@ export class InputManager {
         if (buttons[3]?.pressed) this.triggerHapticFeedback(gamepad, 0.4, 50);
         if (buttons[4]?.pressed) this.triggerHapticFeedback(gamepad, 0.3, 50);
         if (buttons[5]?.pressed) this.triggerHapticFeedback(gamepad, 0.3, 50);
+
+        // Y button toggles the network stats HUD
+        const statsPressed = Boolean(buttons[this.QUEST3_MAPPING.buttons.Y_B]?.pressed);
+        if (statsPressed && !this.lastStatsButtonState) {
+            this.engine.networkStatsHUD?.toggle();
+        }
+        this.lastStatsButtonState = statsPressed;
     }
 
     processRightController(x, y, gamepad) {
@@ -336,31 +343,6 @@ export class InputManager {
         }
     }
 
-    handlePCShoot() {
-        const now = Date.now();
-        if (now - this.lastMouseClick < this.mouseClickCooldown) {
-            return; // Still in cooldown
-        }
-        this.lastMouseClick = now;
-
-        // Create bullet from camera position and direction
-        const position = new THREE.Vector3();
-        const direction = new THREE.Vector3(0, 0, -1);
-        
-        // Get camera position and direction
-        this.engine.camera.getWorldPosition(position);
-        direction.applyQuaternion(this.engine.camera.quaternion);
-
-        // Offset bullet spawn position slightly forward to avoid self-collision
-        const spawnOffset = direction.clone().multiplyScalar(0.5);
-        position.add(spawnOffset);
-        
-        // Create bullet through BulletManager
-        if (this.engine.bulletManager) {
-            this.engine.bulletManager.createBullet(position, direction);
-        }
-    }
-
     handleMenuPress() {
         console.log('Menu button pressed');
         // Toggle menu visibility or perform menu action
@@ -46,6 +46,87 @@ class AudioManager {
         oscillator.stop(this.audioContext.currentTime + 0.15);
     }
 
+    // The firing sound for a weapon type from shared/weapons.mjs
+    playShot(weaponType) {
+        if (weaponType === 'shotgun') {
+            this.playShotgunBlast();
+        } else if (weaponType === 'bow') {
+            this.playBowRelease();
+        } else {
+            this.playRifleShot();
+        }
+    }
+
+    playShotgunBlast() {
+        if (!this.audioContext) return;
+
+        // A deeper, longer boom than the rifle
+        const oscillator = this.audioContext.createOscillator();
+        const gainNode = this.audioContext.createGain();
+        const filterNode = this.audioContext.createBiquadFilter();
+
+        oscillator.type = 'sawtooth';
+        oscillator.frequency.setValueAtTime(90, this.audioContext.currentTime);
+        oscillator.frequency.exponentialRampToValueAtTime(25, this.audioContext.currentTime + 0.25);
+
+        filterNode.type = 'lowpass';
+        filterNode.frequency.setValueAtTime(600, this.audioContext.currentTime);
+
+        gainNode.gain.setValueAtTime(1.0, this.audioContext.currentTime);
+        gainNode.gain.exponentialRampToValueAtTime(0.01, this.audioContext.currentTime + 0.3);
+
+        oscillator.connect(filterNode);
+        filterNode.connect(gainNode);
+        gainNode.connect(this.audioContext.destination);
+
+        oscillator.start();
+        oscillator.stop(this.audioContext.currentTime + 0.3);
+    }
+
+    playBowRelease() {
+        if (!this.audioContext) return;
+
+        // The string's twang
+        const oscillator = this.audioContext.createOscillator();
+        const gainNode = this.audioContext.createGain();
+
+        oscillator.type = 'triangle';
+        oscillator.frequency.setValueAtTime(220, this.audioContext.currentTime);
+        oscillator.frequency.exponentialRampToValueAtTime(110, this.audioContext.currentTime + 0.2);
+
+        gainNode.gain.setValueAtTime(0.5, this.audioContext.currentTime);
+        gainNode.gain.exponentialRampToValueAtTime(0.01, this.audioContext.currentTime + 0.2);
+
+        oscillator.connect(gainNode);
+        gainNode.connect(this.audioContext.destination);
+
+        oscillator.start();
+        oscillator.stop(this.audioContext.currentTime + 0.2);
+    }
+
+    playReload() {
+        if (!this.audioContext) return;
+
+        // Two short clicks
+        [0, 0.12].forEach(offset => {
+            const oscillator = this.audioContext.createOscillator();
+            const gainNode = this.audioContext.createGain();
+            const start = this.audioContext.currentTime + offset;
+
+            oscillator.type = 'square';
+            oscillator.frequency.setValueAtTime(1200, start);
+
+            gainNode.gain.setValueAtTime(0.2, start);
+            gainNode.gain.exponentialRampToValueAtTime(0.01, start + 0.04);
+
+            oscillator.connect(gainNode);
+            gainNode.connect(this.audioContext.destination);
+
+            oscillator.start(start);
+            oscillator.stop(start + 0.04);
+        });
+    }
+
     playBirdDestruction() {
         if (!this.audioContext) return;
 
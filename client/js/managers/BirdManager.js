@@ -1,164 +1,191 @@
 import * as THREE from 'three';
 import { Bird } from '../entities/Bird.js';
+import { Flock, FLIGHT_BOUNDS, MAX_FLOCK_SIZE } from '/shared/flocking.mjs';
+import { BIRD_TYPES, getBirdType, pickBirdType } from '/shared/birdTypes.mjs';
+import { BULLET_RADIUS } from '/shared/ballistics.mjs';
+import { SpatialGrid } from '../utils/SpatialGrid.js';
+
+// How far a bird's hit sphere can reach out of its broadphase cell
+const BROADPHASE_PADDING = Math.max(...Object.values(BIRD_TYPES).map(type => type.hitRadius)) + BULLET_RADIUS;
 
 export class BirdManager {
     constructor(engine) {
         this.engine = engine;
         this.birds = new Map();
+        this.flocks = new Map(); // seed -> Flock shared by that seed's birds
         this.lastSpawnTime = 0;
-        this.spawnInterval = 10000; // 10 seconds between spawns
-        this.maxBirds = 6; // Maximum number of birds allowed
+        this.spawnWave = null; // Wave the host last spawned for; spawn rate and mix come from the wave
         this.isSpawning = false;
+        this.broadphase = new SpatialGrid(1); // Live birds by position, rebuilt each frame bullets fly
+
+        // Birds fly inside the holographic room; shared with the server's simulation
+        this.spawnBoundary = FLIGHT_BOUNDS;
 
-        // Boundary for spawning birds (match holographic room)
-        this.spawnBoundary = {
-            minX: -2,    // Half of roomWidth (5/2)
-            maxX: 2,
-            minY: 1,     // roomY (2) - 1 meter
-            maxY: 4,     // roomY (2) + roomHeight (3) - 1 meter
-            minZ: -1.5,  // Half of roomDepth (3/2)
-            maxZ: 1.5
-        };
+        // Start fetching the pigeon before the first flock arrives
+        Bird.loadModel();
+        this.registerEntityKind();
     }
 
     update(delta) {
         if (!this.isSpawning) return;
 
-        const currentTime = Date.now();
+        const currentTime = this.engine.networkManager.getServerTime();
 
-        // Only host spawns birds
-        if (this.engine.networkManager && this.engine.networkManager.isHost) {
-            if (currentTime - this.lastSpawnTime > this.spawnInterval && this.birds.size < this.maxBirds) {
-                const birdsToSpawn = Math.min(2, this.maxBirds - this.birds.size);
-                for (let i = 0; i < birdsToSpawn; i++) {
-                    this.spawnBird();
-                }
+        // Only host spawns birds, and only while a wave is on
+        const status = this.engine.waveManager.status;
+        if (this.engine.networkManager.isHost && status && !status.intermission) {
+            // Open each wave with a flock straight away
+            if (status.index !== this.spawnWave) {
+                this.spawnWave = status.index;
+                this.lastSpawnTime = 0;
+            }
+
+            const { spawnInterval, maxBirds, flockSize } = status.wave;
+            if (currentTime - this.lastSpawnTime > spawnInterval && this.birds.size < maxBirds) {
+                this.spawnFlock(Math.min(flockSize, maxBirds - this.birds.size), status.index);
                 this.lastSpawnTime = currentTime;
             }
         }
 
-        // Update all birds
+        this.flocks.forEach(flock => flock.advanceTo(currentTime));
+
+        // Update all birds; they expire at the same server time everywhere, so nobody needs telling
         for (const [id, bird] of this.birds) {
-            if (bird.update(delta)) {
+            if (bird.update(delta, currentTime)) {
                 this.removeBird(id);
             }
         }
     }
 
-    spawnBird() {
-        const x = THREE.MathUtils.randFloat(this.spawnBoundary.minX, this.spawnBoundary.maxX);
-        const y = THREE.MathUtils.randFloat(this.spawnBoundary.minY, this.spawnBoundary.maxY);
-        const z = THREE.MathUtils.randFloat(this.spawnBoundary.minZ, this.spawnBoundary.maxZ);
-
-        const position = new THREE.Vector3(x, y, z);
-        const direction = new THREE.Vector3(1, 0, 0);
-
-        const bird = new Bird(position, direction);
-        bird.birdManager = this;
-        this.birds.set(bird.uuid, bird);
-        this.engine.scene.add(bird);
-
-        // Network the spawn if we're the host
-        if (this.engine.networkManager && this.engine.networkManager.isHost) {
-            this.engine.networkManager.send({
-                type: 'birdSpawned',
-                data: {
-                    id: bird.uuid,
-                    position: position.toArray(),
-                    direction: direction.toArray(),
-                    spawnTime: bird.spawnTime
+    // Replicated 'bird' entities: the host spawns them, everyone else flies the same flock from this state
+    registerEntityKind() {
+        this.engine.networkManager.replication.register('bird', {
+            create: (state, entity) => {
+                const flock = this.getFlock(state.seed, state.flockSize, state.startTime, state.type, state.wave);
+                const bird = this.addBird(flock, state.index, state.type, state.wave, entity.spawnTime);
+                if (Number.isFinite(state.health)) {
+                    bird.health = state.health; // Already hit before we joined
+                }
+                this.birds.set(entity.id, bird);
+                return bird;
+            },
+            serialize: bird => ({
+                type: bird.type,
+                wave: bird.wave,
+                seed: bird.flock.seed,
+                flockSize: bird.flock.size,
+                index: bird.flockIndex,
+                startTime: bird.flock.startTime
+            }),
+            destroy: bird => {
+                this.engine.scene.remove(bird);
+                this.birds.delete(bird.networkId);
+                // Drop the flock with its last bird
+                if (!Array.from(this.birds.values()).some(other => other.flock === bird.flock)) {
+                    this.flocks.delete(bird.flock.seed);
                 }
+            }
+        });
+    }
+
+    // Birds of one flock arrive as separate entities, so the first one creates it. A flock is all
+    // one species, flying at that species' speed times its wave's
+    getFlock(seed, size, startTime, type, waveIndex) {
+        let flock = this.flocks.get(seed);
+        if (!flock) {
+            const wave = this.engine.waveManager.getWave(waveIndex);
+            flock = new Flock(seed, size, startTime, {
+                bounds: this.spawnBoundary,
+                speed: getBirdType(type).speed * (wave ? wave.speed : 1)
             });
+            flock.advanceTo(this.engine.networkManager.getServerTime());
+            this.flocks.set(seed, flock);
         }
+        return flock;
+    }
 
+    addBird(flock, index, type, waveIndex, spawnTime) {
+        const bird = new Bird(flock, index, type);
+        bird.wave = waveIndex;
+        bird.spawnTime = spawnTime;
+        bird.birdManager = this;
+        this.engine.scene.add(bird);
         return bird;
     }
 
-    removeBird(id) {
-        const bird = this.birds.get(id);
-        if (bird) {
-            this.engine.scene.remove(bird);
-            this.birds.delete(id);
-
-            // Network the removal if we're the host
-            if (this.engine.networkManager && this.engine.networkManager.isHost) {
-                this.engine.networkManager.send({
-                    type: 'birdRemoved',
-                    data: {
-                        id: id
-                    }
-                });
-            }
+    spawnFlock(size, waveIndex) {
+        const flockSize = Math.min(size, MAX_FLOCK_SIZE); // The server can't fly, so can't hit, any bird past that
+        const seed = Math.floor(Math.random() * 0x100000000);
+        const type = pickBirdType(Math.random, this.engine.waveManager.getWave(waveIndex).composition);
+        const flock = this.getFlock(seed, flockSize, this.engine.networkManager.getServerTime(), type, waveIndex);
+
+        for (let index = 0; index < flockSize; index++) {
+            const bird = this.addBird(flock, index, type, waveIndex, flock.startTime);
+            const entity = this.engine.networkManager.replication.spawn('bird', bird);
+            this.birds.set(entity.id, bird);
         }
+        return flock;
     }
 
-    handleBulletCollision(bullet) {
-        // Check collision with each bird
-        for (const [id, bird] of this.birds) {
-            const birdBoundingSphere = new THREE.Sphere(bird.position, 0.15); // Reduced from 0.5 to 0.15 to match visual size
-            const bulletBoundingSphere = new THREE.Sphere(bullet.position, 0.03); // Reduced from 0.05 to 0.03 for more precise hits
-
-            if (birdBoundingSphere.intersectsSphere(bulletBoundingSphere)) {
-                // Remove the bird
-                this.removeBird(id);
+    removeBird(id) {
+        this.engine.networkManager.replication.remove(id);
+    }
 
-                // Update score immediately for both host and client
-                this.engine.scoreManager.updateScore(bullet.shooterId, 10);
-
-                // If we're the host, send the hit event
-                if (this.engine.networkManager && this.engine.networkManager.isHost) {
-                    this.engine.networkManager.send({
-                        type: 'birdHit',
-                        data: {
-                            birdId: id,
-                            bulletShooterId: bullet.shooterId
-                        }
-                    });
-                }
-                return true; // Collision detected
+    updateBroadphase() {
+        this.broadphase.clear();
+        for (const bird of this.birds.values()) {
+            if (bird.health > 0) {
+                this.broadphase.insert(bird, bird.position);
             }
         }
-        return false; // No collision
     }
 
-    handleNetworkBirdSpawn(data) {
-        console.debug('[DEBUG] Handling network bird spawn:', data);
-        const position = new THREE.Vector3().fromArray(data.position);
-        const direction = new THREE.Vector3().fromArray(data.direction);
-
-        const bird = new Bird(position, direction);
-        bird.spawnTime = data.spawnTime;
-        this.birds.set(data.id, bird);
-        this.engine.scene.add(bird);
-
-        // Make sure spawning is enabled when receiving network birds
-        this.isSpawning = true;
+    // Whether the bullet's path since last frame crossed a bird; call updateBroadphase first.
+    // Testing the whole segment means a fast bullet can't skip over a bird between frames.
+    handleBulletCollision(bullet) {
+        // Local prediction only: the bullet stops at the bird, but the bird is
+        // removed and scored once the server's birdHit verdict arrives
+        const start = bullet.previousPosition;
+        const end = bullet.position;
+        const min = start.clone().min(end).subScalar(BROADPHASE_PADDING);
+        const max = start.clone().max(end).addScalar(BROADPHASE_PADDING);
+
+        const segment = end.clone().sub(start);
+        const length = segment.length();
+        const ray = new THREE.Ray(start, length > 0 ? segment.divideScalar(length) : segment);
+        const sphere = new THREE.Sphere();
+        const hitPoint = new THREE.Vector3();
+
+        return this.broadphase.query(min, max).some(bird => {
+            sphere.set(bird.position, bird.hitRadius + BULLET_RADIUS);
+            if (sphere.containsPoint(start)) return true;
+            return length > 0 &&
+                ray.intersectSphere(sphere, hitPoint) !== null &&
+                hitPoint.distanceTo(start) <= length;
+        });
     }
 
-    handleNetworkBirdRemoved(data) {
-        this.removeBird(data.id);
+    // Don't burst-spawn a new flock the moment we catch up or take over as host
+    resetSpawnTimer() {
+        const now = this.engine.networkManager.getServerTime();
+        const status = this.engine.waveManager.getStatus(now);
+        this.lastSpawnTime = now;
+        this.spawnWave = status ? status.index : null;
     }
 
     handleNetworkBirdHit(data) {
-        // Remove the bird that was hit
-        this.removeBird(data.birdId);
-        
-        // Update score for the shooter
-        if (data.bulletShooterId) {
-            this.engine.scoreManager.updateScore(data.bulletShooterId, 10);
+        // The server has already decided the hit, so apply it as-is
+        const bird = this.engine.networkManager.replication.get(data.birdId)?.object;
+        if (data.killed) {
+            this.removeBird(data.birdId);
+        } else if (bird) {
+            bird.takeDamage(bird.health - data.health);
         }
-    }
-
-    handleBirdKilled(data) {
-        const bird = this.birds.get(data.id);
-        if (bird) {
-            // Update score
-            if (data.shooterId) {
-                this.engine.scoreManager.updateScore(data.shooterId, 10);
-            }
+        this.engine.bulletManager.removeBulletById(data.bulletId);
 
-            // Remove the bird
-            this.removeBird(data.id);
+        // Use the server's running total so scores never double-count
+        if (data.shooterId) {
+            this.engine.scoreManager.setScore(data.shooterId, data.score);
         }
     }
 
@@ -168,8 +195,9 @@ export class BirdManager {
 
     stopSpawning() {
         this.isSpawning = false;
-        // Remove all birds
-        for (const id of this.birds.keys()) {
+        this.spawnWave = null;
+        // Remove all birds; the server clears its own at the same time
+        for (const id of Array.from(this.birds.keys())) {
             this.removeBird(id);
         }
     }
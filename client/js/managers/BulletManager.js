@@ -1,45 +1,36 @@
 import { Bullet } from '../entities/Bullet.js';
 import * as THREE from 'three';
 import AudioManager from './AudioManager.js';  // Changed to default import
+import { getWeaponType, getShotFlight, isWeaponType, DEFAULT_WEAPON } from '/shared/weapons.mjs';
 
 export class BulletManager {
     constructor(engine) {
         this.engine = engine;
         this.bullets = new Set();
-        this.lastTriggerState = [false, false];
-        
-        // Meta Quest 3 Button Mapping (same as InputManager)
-        this.QUEST3_MAPPING = {
-            buttons: {
-                trigger: 0,    // Index finger trigger
-                grip: 1,       // Hand grip
-                menu: 2,       // Menu button (left controller only)
-                thumbstick: 3, // Thumbstick press
-                X_A: 4,        // X button (left) or A button (right)
-                Y_B: 5         // Y button (left) or B button (right)
-            }
-        };
+        this.lastRemoteShot = null; // Pellets of one remote shotgun blast share a single sound
 
         // Initialize audio manager
         this.audioManager = new AudioManager();
+
+        this.registerEntityKind();
     }
 
-    update() {
-        // Handle VR input if in VR mode
-        if (this.engine.renderer.xr.isPresenting) {
-            this.handleVRInput();
-        }
+    update(delta) {
+        if (this.bullets.size === 0) return;
+
+        // Index the birds once for every bullet this frame
+        const birdManager = this.engine.birdManager;
+        birdManager.updateBroadphase();
 
-        // Update all bullets regardless of VR mode
         for (const bullet of this.bullets) {
             // Update bullet using its update method
-            if (bullet.update()) {
+            if (bullet.update(delta)) {
                 this.removeBullet(bullet);
                 continue;
             }
 
-            // Check if bullet hit a bird
-            if (this.engine.birdManager && this.engine.birdManager.handleBulletCollision(bullet)) {
+            // Check if this frame's stretch of the bullet's path crossed a bird
+            if (birdManager.handleBulletCollision(bullet)) {
                 this.removeBullet(bullet);
                 continue;
             }
@@ -53,105 +44,78 @@ export class BulletManager {
         }
     }
 
-    handleVRInput() {
-        const session = this.engine.renderer.xr.getSession();
-        if (!session) {
-            return;
-        }
-
-        const inputSources = session.inputSources;
-        if (!inputSources || inputSources.length === 0) {
-            return;
-        }
-
-        // Process each input source (controller)
-        inputSources.forEach((inputSource, i) => {
-            if (!inputSource.gamepad) {
-                return;
-            }
+    // One projectile from `weaponType` (shared/weapons.mjs); `charge` is how far a bow was drawn.
+    // The WeaponManager fires these and plays the shot's sound. Pellets of one blast pass the
+    // same `shotTime`, and `hand` says which hand's magazine the server takes the shot from.
+    createBullet(position, direction, weaponType = DEFAULT_WEAPON, charge = 1,
+        hand = 0, shotTime = this.engine.networkManager.getServerTime()) {
+        const bullet = this.addBullet(
+            position.clone(),
+            direction.clone().normalize(),
+            weaponType,
+            charge,
+            shotTime
+        );
+        bullet.shooterId = this.engine.networkManager.localPlayerId;
+        bullet.hand = hand;
 
-            const controller = this.engine.inputManager.controllers[i];
-            if (!controller) {
-                return;
-            }
+        // Replicate the shot; shotTime lets the server rewind birds to this moment
+        this.engine.networkManager.replication.spawn('bullet', bullet);
 
-            const gamepad = inputSource.gamepad;
-            const triggerButton = gamepad.buttons[this.QUEST3_MAPPING.buttons.trigger];
+        return bullet;
+    }
 
-            if (triggerButton.pressed && !this.lastTriggerState[i]) {
-                this.createBullet(controller, null, 0.3); // Changed from 2.0 to 0.3 to match Bullet.js
+    // Replicated 'bullet' entities: every shooter owns their own bullets
+    registerEntityKind() {
+        this.engine.networkManager.replication.register('bullet', {
+            create: (state, entity) => {
+                const bullet = this.addBullet(
+                    new THREE.Vector3().fromArray(state.position),
+                    new THREE.Vector3().fromArray(state.direction),
+                    state.weapon,
+                    state.charge,
+                    state.shotTime
+                );
+                bullet.shooterId = entity.ownerId;
+
+                const shot = `${entity.ownerId}@${state.shotTime}`;
+                if (shot !== this.lastRemoteShot) {
+                    this.lastRemoteShot = shot;
+                    this.audioManager.playShot(bullet.weaponType);
+                }
+                return bullet;
+            },
+            serialize: bullet => ({
+                position: bullet.origin.toArray(),
+                direction: bullet.direction.toArray(),
+                weapon: bullet.weaponType,
+                charge: bullet.charge,
+                shotTime: bullet.shotTime,
+                hand: bullet.hand
+            }),
+            destroy: bullet => {
+                this.engine.scene.remove(bullet);
+                this.bullets.delete(bullet);
             }
-            this.lastTriggerState[i] = triggerButton.pressed;
         });
     }
 
-    createBullet(controllerOrPosition, optionalDirection, speed = 0.3) { // Changed default from 1.0 to 0.3
-        let position, direction;
-
-        if (controllerOrPosition instanceof THREE.Vector3) {
-            position = controllerOrPosition.clone();
-            direction = optionalDirection.clone().normalize();
-        } else {
-            const controllerMatrix = controllerOrPosition.matrixWorld;
-            position = new THREE.Vector3();
-            const quaternion = new THREE.Quaternion();
-            direction = new THREE.Vector3(0, 0, -1); // Forward direction
-            
-            position.setFromMatrixPosition(controllerMatrix);
-            quaternion.setFromRotationMatrix(controllerMatrix);
-            direction.applyQuaternion(quaternion).normalize();
-        }
-        
-        // Create bullet
-        const bullet = new Bullet(position, direction, speed);
-        bullet.shooterId = this.engine.networkManager.localPlayerId;
-        bullet.scale.set(0.1, 0.1, 0.1);
+    addBullet(position, direction, weaponType, charge, shotTime) {
+        const weapon = getWeaponType(weaponType);
+        const bullet = new Bullet(position, direction, getShotFlight(weapon, charge), undefined, weapon.projectile);
+        bullet.weaponType = isWeaponType(weaponType) ? weaponType : DEFAULT_WEAPON;
+        bullet.charge = charge;
+        bullet.shotTime = shotTime;
         this.engine.scene.add(bullet);
         this.bullets.add(bullet);
-
-        // Play shooting sound locally
-        this.audioManager.playRifleShot();
-
-        // Send bullet creation event to network
-        if (this.engine.networkManager) {
-            this.engine.networkManager.send({
-                type: 'bulletSpawned',
-                data: {
-                    position: position.toArray(),
-                    direction: direction.toArray(),
-                    speed: speed,
-                    shooterId: bullet.shooterId,
-                    playSound: true // Add flag to indicate sound should be played
-                }
-            });
-        }
-
         return bullet;
     }
 
-    handleNetworkBulletSpawn(data, senderId) {
-        // Don't spawn bullets for our own shots since we already have them
-        if (senderId === this.engine.networkManager.localPlayerId) {
-            return;
-        }
-
-        console.debug('[DEBUG] Spawning network bullet from player:', senderId, data);
-        const position = new THREE.Vector3().fromArray(data.position);
-        const direction = new THREE.Vector3().fromArray(data.direction);
-        const bullet = new Bullet(position, direction, data.speed);
-        bullet.shooterId = data.shooterId;
-        bullet.scale.set(0.1, 0.1, 0.1);
-        this.engine.scene.add(bullet);
-        this.bullets.add(bullet);
-
-        // Play shooting sound for network bullets
-        if (data.playSound) {
-            this.audioManager.playRifleShot();
-        }
+    removeBullet(bullet) {
+        this.engine.networkManager.replication.remove(bullet.networkId);
     }
 
-    removeBullet(bullet) {
-        this.engine.scene.remove(bullet);
-        this.bullets.delete(bullet);
+    removeBulletById(id) {
+        this.engine.networkManager.replication.remove(id, 'hit');
     }
 }
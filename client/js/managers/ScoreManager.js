@@ -4,11 +4,11 @@ class ScoreManager {
     constructor(engine) {
         this.engine = engine;
         this.scores = new Map();
-        this.pointsPerHit = 10;
         
         // Create both 2D and VR UIs
         this.createScoreUI();
         this.vrScoreUI = new VRScoreUI(engine);
+        this.refreshLeaderboard();
     }
 
     createScoreUI() {
@@ -74,10 +74,12 @@ class ScoreManager {
     updateScore(playerId, points) {
         // Get current score and add points
         const currentScore = this.scores.get(playerId) || 0;
-        const newScore = currentScore + points;
-        
+        this.setScore(playerId, currentScore + points);
+    }
+
+    setScore(playerId, score) {
         // Update scores map
-        this.scores.set(playerId, newScore);
+        this.scores.set(playerId, score);
 
         // Update score display
         this.updateScoreDisplay();
@@ -88,19 +90,33 @@ class ScoreManager {
             const rank = Array.from(this.scores.entries())
                 .sort((a, b) => b[1] - a[1])
                 .findIndex(([id]) => id === playerId);
-            this.vrScoreUI.updatePlayerScore(playerId, newScore, rank);
+            this.vrScoreUI.updatePlayerScore(playerId, score, rank);
+        }
+    }
+
+    // Load the persistent high scores for the wall panel
+    async refreshLeaderboard() {
+        try {
+            const response = await fetch('/api/leaderboard');
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            this.vrScoreUI.setLeaderboard(await response.json());
+        } catch (error) {
+            console.error('Failed to load leaderboard:', error);
+        }
+    }
+
+    // Zero every known player, e.g. when a new match counts down
+    resetScores() {
+        for (const playerId of this.scores.keys()) {
+            this.setScore(playerId, 0);
         }
     }
 
     handleNetworkScoreUpdate(data) {
         const { playerId, score } = data;
-        
-        if (!this.scores.has(playerId)) {
-            this.addPlayer(playerId);
-        }
-        
-        this.scores.set(playerId, score);
-        this.updateScoreDisplay();
+        this.setScore(playerId, score);
     }
 
     removePlayer(playerId) {
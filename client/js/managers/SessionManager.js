@@ -1,8 +1,37 @@
+import { VRRoomBrowser } from '../ui/VRRoomBrowser.js';
+import { ERROR_CODES, GAME_MODES } from '/shared/protocol.mjs';
+
+const PLAYER_NAME_KEY = 'playerName'; // localStorage
+
+// Friendly text for the error codes the server sends back on host/join
+const SESSION_ERRORS = {
+    [ERROR_CODES.ROOM_NOT_FOUND]: 'No room with that code. Check it and try again.',
+    [ERROR_CODES.ROOM_FULL]: 'That room is full.',
+    [ERROR_CODES.ROOM_EXISTS]: 'That room code is already taken. Please try again.',
+    [ERROR_CODES.PASSWORD_REQUIRED]: 'That room needs a password. Enter it and join again.',
+    [ERROR_CODES.WRONG_PASSWORD]: 'Incorrect password for that room.',
+    [ERROR_CODES.ALREADY_IN_ROOM]: 'You are already in a room. Leave it first.',
+    [ERROR_CODES.VERSION_MISMATCH]: 'The game has been updated. Please reload the page.',
+    [ERROR_CODES.RATE_LIMITED]: 'Disconnected for sending too many messages. Please rejoin.',
+    [ERROR_CODES.MESSAGE_TOO_LARGE]: 'Disconnected for sending too many oversized messages. Please rejoin.'
+};
+
 export class SessionManager {
     constructor(engine) {
         this.engine = engine;
         this.currentRoom = null;
+        this.rooms = [];
+        this.roomListInterval = 5000; // Refresh the room browser every 5 seconds
         this.setupUI();
+
+        // Room browser for players already in the headset
+        this.vrRoomBrowser = new VRRoomBrowser(engine, this);
+        this.refreshRoomList();
+        setInterval(() => {
+            if (!this.engine.networkManager.currentRoom) {
+                this.refreshRoomList();
+            }
+        }, this.roomListInterval);
     }
 
     setupUI() {
@@ -11,6 +40,15 @@ export class SessionManager {
         this.statusContainer = document.getElementById('status');
         this.errorContainer = document.getElementById('error');
         this.roomInput = document.getElementById('roomCode');
+        this.roomList = document.getElementById('roomList');
+        this.privateInput = document.getElementById('privateRoom');
+        this.passwordInput = document.getElementById('roomPassword');
+        this.maxPlayersInput = document.getElementById('maxPlayers');
+        this.modeInput = document.getElementById('gameMode');
+        Object.entries(GAME_MODES).forEach(([mode, label]) => {
+            this.modeInput.appendChild(new Option(label, mode));
+        });
+        this.nameInput = document.getElementById('playerName');
 
         // Style the container
         this.container.style.position = 'absolute';
@@ -26,11 +64,13 @@ export class SessionManager {
         const hostButton = document.getElementById('hostButton');
         const quickJoinButton = document.getElementById('quickJoinButton');
         const joinButton = document.getElementById('joinButton');
+        const refreshRoomsButton = document.getElementById('refreshRoomsButton');
 
         // Setup event listeners
         hostButton.addEventListener('click', () => this.hostSession());
         quickJoinButton.addEventListener('click', () => this.quickJoinSession());
         joinButton.addEventListener('click', () => this.joinSession());
+        refreshRoomsButton.addEventListener('click', () => this.refreshRoomList());
 
         // Style all buttons consistently
         const buttons = this.container.getElementsByClassName('button');
@@ -53,6 +93,19 @@ export class SessionManager {
             });
         }
 
+        // Leaderboard scores are kept under this name, so remember it between visits
+        this.nameInput.value = localStorage.getItem(PLAYER_NAME_KEY) ||
+            `Player ${Math.floor(1000 + Math.random() * 9000)}`;
+        const updateName = () => {
+            const name = this.nameInput.value.trim();
+            this.engine.networkManager.playerName = name || null;
+            if (name) {
+                localStorage.setItem(PLAYER_NAME_KEY, name);
+            }
+        };
+        this.nameInput.addEventListener('change', updateName);
+        updateName();
+
         // Style the input
         if (this.roomInput) {
             this.roomInput.style.padding = '8px';
@@ -65,7 +118,12 @@ export class SessionManager {
 
     async hostSession() {
         try {
-            this.engine.networkManager.hostRoom();
+            this.engine.networkManager.hostRoom({
+                isPrivate: this.privateInput.checked,
+                password: this.passwordInput.value,
+                maxPlayers: parseInt(this.maxPlayersInput.value, 10),
+                mode: this.modeInput.value
+            });
             this.hideUI();
         } catch (error) {
             console.error('Failed to host session:', error);
@@ -87,15 +145,14 @@ export class SessionManager {
         }
     }
 
-    async joinSession() {
-        const roomCode = this.roomInput.value.trim();
+    async joinSession(roomCode = this.roomInput.value.trim()) {
         if (!roomCode) {
             this.showError('Please enter a room code.');
             return;
         }
 
         try {
-            this.engine.networkManager.joinRoom(roomCode);
+            this.engine.networkManager.joinRoom(roomCode, this.passwordInput.value);
             this.hideUI();
         } catch (error) {
             console.error('Failed to join session:', error);
@@ -103,6 +160,78 @@ export class SessionManager {
         }
     }
 
+    async refreshRoomList() {
+        try {
+            const response = await fetch('/api/rooms');
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const { rooms } = await response.json();
+            this.rooms = rooms;
+        } catch (error) {
+            console.error('Failed to load room list:', error);
+            this.rooms = [];
+        }
+
+        this.renderRoomList();
+        this.vrRoomBrowser.setRooms(this.rooms);
+    }
+
+    renderRoomList() {
+        if (!this.roomList) return;
+        this.roomList.innerHTML = '';
+
+        if (this.rooms.length === 0) {
+            const empty = document.createElement('div');
+            empty.textContent = 'No open rooms';
+            empty.style.fontStyle = 'italic';
+            empty.style.color = '#888';
+            this.roomList.appendChild(empty);
+            return;
+        }
+
+        this.rooms.forEach(room => {
+            const entry = document.createElement('div');
+            entry.className = 'room-entry';
+
+            const label = document.createElement('span');
+            label.textContent = this.describeRoom(room);
+            entry.appendChild(label);
+
+            const joinButton = document.createElement('button');
+            joinButton.className = 'button';
+            joinButton.textContent = 'Join';
+            joinButton.disabled = room.players >= room.maxPlayers;
+            joinButton.addEventListener('click', () => this.joinSession(room.code));
+            entry.appendChild(joinButton);
+
+            this.roomList.appendChild(entry);
+        });
+    }
+
+    describeRoom(room) {
+        const seconds = Math.ceil((room.timeRemaining || 0) / 1000);
+        const clock = `${Math.floor(seconds / 60)}:${(seconds % 60).toString().padStart(2, '0')}`;
+        const status = {
+            lobby: 'Waiting',
+            countdown: `Starting in ${seconds}s`,
+            playing: `Playing ${clock} left`,
+            results: 'Showing results'
+        }[room.state] || 'Waiting';
+        const lock = room.hasPassword ? '  [password]' : '';
+        const mode = GAME_MODES[room.mode] || room.mode;
+        return `${room.code}  ${mode}  ${room.players}/${room.maxPlayers}  ${status}${lock}`;
+    }
+
+    update() {
+        // The VR browser is only needed until we're in a room
+        const inRoom = Boolean(this.engine.networkManager.currentRoom);
+        this.vrRoomBrowser.setVisible(!inRoom);
+        if (!inRoom && this.engine.renderer.xr.isPresenting) {
+            this.vrRoomBrowser.update();
+        }
+    }
+
     showUI() {
         this.container.style.display = 'block';
     }
@@ -111,9 +240,9 @@ export class SessionManager {
         this.container.style.display = 'none';
     }
 
-    showError(message) {
+    showError(message, code = null) {
         if (this.errorContainer) {
-            this.errorContainer.textContent = message;
+            this.errorContainer.textContent = SESSION_ERRORS[code] || message;
             this.errorContainer.style.color = '#ff6b6b';
             this.errorContainer.style.marginTop = '10px';
 
@@ -8,134 +8,90 @@ export class UIManager {
         this.tempMatrix = new THREE.Matrix4();
         this.intersected = null;
         
-        // Timer properties
-        this.gameStartTime = 0;
-        this.gameDuration = 120000; // 120 seconds
+        // Server-owned match phase (lobby, countdown, playing, results)
+        this.matchPhase = 'lobby';
+        this.phaseStartTime = 0; // Server time the current phase began
+        this.phaseDuration = 0;
+        this.results = null; // Final standings while in results
+        this.startRequested = false;
+        this.timerText = '';
     }
 
     update() {
         // All interaction is now handled by VRScoreUI
     }
 
+    // Ask the server to begin a match; it answers with matchPhase broadcasts. Only the host may.
     handleGameStart() {
-        if (this.gameStarted) return;
-        
-        console.log('[GAME_START] Starting game...');
-        this.gameStarted = true;
-        this.gameStartTime = Date.now();
-        
-        // Hide start button in VR score UI
-        if (this.engine.scoreManager.vrScoreUI && this.engine.scoreManager.vrScoreUI.startButton) {
-            console.log('[GAME_START] Hiding start button');
-            this.engine.scoreManager.vrScoreUI.startButton.visible = false;
-        }
-        
-        // Send start game event to all players
-        if (this.engine.networkManager) {
-            console.log('[GAME_START] Sending start game event to network');
-            this.engine.networkManager.send({
-                type: 'gameStart',
-                data: {
-                    startTime: this.gameStartTime
-                }
-            });
-        }
+        if (this.matchPhase !== 'lobby' || this.startRequested || !this.engine.networkManager?.isHost) return;
 
-        // Start the game locally
-        console.log('[GAME_START] Starting local game');
-        this.startGame();
+        console.log('[GAME_START] Requesting match start');
+        this.startRequested = true;
+        this.engine.networkManager?.sendStartMatch();
     }
 
-    handleGameEnd() {
-        // Reset game state
-        this.gameStarted = false;
-        this.gameStartTime = 0;
-        
-        // Show start button in VR score UI
-        if (this.engine.scoreManager.vrScoreUI && this.engine.scoreManager.vrScoreUI.startButton) {
-            this.engine.scoreManager.vrScoreUI.startButton.visible = true;
-        }
-        
-        // Stop bird spawning and remove all birds
-        if (this.engine.birdManager) {
-            this.engine.birdManager.isSpawning = false;
-            this.engine.birdManager.birds.forEach((bird, id) => {
-                this.engine.birdManager.removeBird(id);
-            });
-        }
-        
-        // Send game end event if we're the host
-        if (this.engine.networkManager?.isHost) {
-            this.engine.networkManager.send({
-                type: 'gameEnd'
-            });
-        }
-    }
+    // Render whatever phase the server says the room is in
+    applyMatchPhase(data) {
+        if (!data) return;
 
-    handleNetworkGameStart(data) {
-        if (this.gameStarted) return;
-        
-        console.log('[GAME_START] Received network game start');
-        this.gameStarted = true;
-        this.gameStartTime = data.startTime;
-        
-        // Hide start button in VR score UI
+        const previousPhase = this.matchPhase;
+        this.matchPhase = data.phase;
+        this.phaseDuration = data.duration;
+        this.results = data.results || null;
+        this.startRequested = false;
+
+        this.phaseStartTime = data.phaseStartedAt; // Server time
+        this.gameStarted = data.phase === 'playing';
+        this.engine.waveManager.setSchedule(data.waves);
+
+        // Only offer the start button in the lobby
         if (this.engine.scoreManager.vrScoreUI && this.engine.scoreManager.vrScoreUI.startButton) {
-            this.engine.scoreManager.vrScoreUI.startButton.visible = false;
+            this.engine.scoreManager.vrScoreUI.startButton.visible = data.phase === 'lobby';
         }
-        
-        // Start the game
-        this.startGame();
-    }
 
-    handleNetworkGameEnd() {
-        // Reset game state
-        this.gameStarted = false;
-        this.gameStartTime = 0;
-        
-        // Show start button in VR score UI
-        if (this.engine.scoreManager.vrScoreUI && this.engine.scoreManager.vrScoreUI.startButton) {
-            this.engine.scoreManager.vrScoreUI.startButton.visible = true;
+        if (data.phase === previousPhase) return;
+        console.log(`[MATCH] Phase ${previousPhase} -> ${data.phase}`);
+
+        if (data.phase === 'countdown') {
+            this.engine.scoreManager.resetScores();
         }
-        
-        // Stop bird spawning and remove all birds
-        if (this.engine.birdManager) {
-            this.engine.birdManager.isSpawning = false;
-            this.engine.birdManager.birds.forEach((bird, id) => {
-                this.engine.birdManager.removeBird(id);
-            });
+
+        // Show the high scores between matches, refreshed with the match that just ended
+        const betweenMatches = data.phase === 'lobby' || data.phase === 'results';
+        this.engine.scoreManager.vrScoreUI.setLeaderboardVisible(betweenMatches);
+        if (betweenMatches) {
+            this.engine.scoreManager.refreshLeaderboard();
         }
-    }
 
-    startGame() {
-        // Start bird spawning
         if (this.engine.birdManager) {
-            console.log('[GAME_START] Starting bird spawning');
-            this.engine.birdManager.isSpawning = true;
+            if (data.phase === 'playing') {
+                this.engine.birdManager.startSpawning();
+            } else {
+                this.engine.birdManager.stopSpawning();
+            }
         }
     }
 
     updateTimer() {
-        if (!this.gameStarted) return;
-        
-        const currentTime = Date.now();
-        const elapsedTime = currentTime - this.gameStartTime;
-        const remainingTime = Math.max(0, this.gameDuration - elapsedTime);
-        
-        // Convert to seconds and format
+        const now = this.engine.networkManager.getServerTime();
+        const remainingTime = Math.max(0, this.phaseDuration - (now - this.phaseStartTime));
         const seconds = Math.ceil(remainingTime / 1000);
-        const minutes = Math.floor(seconds / 60);
-        const remainingSeconds = seconds % 60;
-        const timeText = `${minutes}:${remainingSeconds.toString().padStart(2, '0')}`;
-        
-        // Update VRScoreUI timer display
-        if (this.engine.scoreManager.vrScoreUI && this.engine.scoreManager.vrScoreUI.timerDisplay) {
-            this.engine.scoreManager.vrScoreUI.timerDisplay.text = timeText;
-        }
-        
-        // End game if time is up and we're the host
-        if (remainingTime <= 0 && this.engine.networkManager?.isHost) {
-            this.handleGameEnd();
+
+        switch (this.matchPhase) {
+            case 'countdown':
+                this.timerText = seconds > 0 ? `${seconds}` : 'GO!';
+                break;
+            case 'playing': {
+                const minutes = Math.floor(seconds / 60);
+                const remainingSeconds = seconds % 60;
+                this.timerText = `${minutes}:${remainingSeconds.toString().padStart(2, '0')}`;
+                break;
+            }
+            case 'results':
+                this.timerText = 'GAME OVER';
+                break;
+            default:
+                this.timerText = '';
         }
     }
 }
@@ -91,11 +91,7 @@ export class VoiceManager {
                     this.createPeerConnection(playerId);
                 }
                 
-                this.engine.networkManager.send({
-                    type: 'voice_ready',
-                    playerId: this.engine.networkManager.localPlayerId,
-                    roomCode: this.engine.networkManager.currentRoom
-                });
+                this.engine.networkManager.sendVoice('voice_ready');
                 
                 this.startVisualization();
             } catch (error) {
@@ -125,10 +121,7 @@ export class VoiceManager {
             }
             this.peerConnections.clear();
             
-            this.engine.networkManager.send({
-                type: 'voice_stop',
-                playerId: this.engine.networkManager.localPlayerId
-            });
+            this.engine.networkManager.sendVoice('voice_stop');
         }
     }
 
@@ -205,9 +198,7 @@ export class VoiceManager {
 
         pc.onicecandidate = (event) => {
             if (event.candidate) {
-                this.engine.networkManager.send({
-                    type: 'voice_ice_candidate',
-                    playerId: this.engine.networkManager.localPlayerId,
+                this.engine.networkManager.sendVoice('voice_ice_candidate', {
                     targetId: playerId,
                     candidate: event.candidate
                 });
@@ -229,12 +220,9 @@ export class VoiceManager {
             const offer = await pc.createOffer();
             await pc.setLocalDescription(offer);
             
-            this.engine.networkManager.send({
-                type: 'voice_offer',
-                playerId: this.engine.networkManager.localPlayerId,
+            this.engine.networkManager.sendVoice('voice_offer', {
                 targetId: playerId,
-                offer: offer,
-                roomCode: this.engine.networkManager.currentRoom
+                offer: offer
             });
         } catch (error) {
             console.error('[MIC] Error creating offer:', error);
@@ -249,12 +237,9 @@ export class VoiceManager {
             const answer = await pc.createAnswer();
             await pc.setLocalDescription(answer);
             
-            this.engine.networkManager.send({
-                type: 'voice_answer',
-                playerId: this.engine.networkManager.localPlayerId,
+            this.engine.networkManager.sendVoice('voice_answer', {
                 targetId: playerId,
-                answer: answer,
-                roomCode: this.engine.networkManager.currentRoom
+                answer: answer
             });
         } catch (error) {
             console.error('[MIC] Error handling offer:', error);
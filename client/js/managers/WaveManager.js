@@ -0,0 +1,46 @@
+// Tracks which wave the match is in. The schedule comes from the server with the match state
+// (see server/waves.js) and the current wave follows from the match clock, so every client
+// agrees on it without any wave messages.
+export class WaveManager {
+    constructor(engine) {
+        this.engine = engine;
+        this.waves = [];
+        this.status = null; // { index, wave, intermission, endsIn } while playing
+    }
+
+    setSchedule(waves) {
+        this.waves = Array.isArray(waves) ? waves : [];
+    }
+
+    getWave(index) {
+        return this.waves[index] || null;
+    }
+
+    // Which wave the match is in at server time `now`, and whether it's still in the break before it
+    getStatus(now) {
+        const { matchPhase, phaseStartTime } = this.engine.uiManager;
+        if (matchPhase !== 'playing' || this.waves.length === 0) return null;
+
+        const elapsed = now - phaseStartTime;
+        let time = 0;
+        for (let index = 0; index < this.waves.length; index++) {
+            const wave = this.waves[index];
+            if (elapsed < time + wave.intermission) {
+                return { index, wave, intermission: true, endsIn: time + wave.intermission - elapsed };
+            }
+            time += wave.intermission;
+
+            // The last wave carries on if the match outlasts the schedule
+            const isLast = index === this.waves.length - 1;
+            if (elapsed < time + wave.duration || isLast) {
+                return { index, wave, intermission: false, endsIn: Math.max(0, time + wave.duration - elapsed) };
+            }
+            time += wave.duration;
+        }
+        return null;
+    }
+
+    update() {
+        this.status = this.getStatus(this.engine.networkManager.getServerTime());
+    }
+}
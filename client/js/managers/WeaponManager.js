@@ -0,0 +1,293 @@
+import * as THREE from 'three';
+import { WEAPON_TYPES, DEFAULT_WEAPON, isWeaponType } from '/shared/weapons.mjs';
+import { Weapon } from '../entities/Weapon.js';
+
+const WEAPON_ORDER = Object.keys(WEAPON_TYPES);
+const DESKTOP_HAND = 1; // Desktop shots use the right hand's magazine
+
+// The local player's weapons: the same type in both hands, each hand with its own magazine.
+//   VR: trigger fires (hold and release to loose the bow), grip or X/A reloads that hand,
+//       thumbstick press cycles weapons.
+//   Desktop: click fires (hold for the bow), R reloads, 1-3 pick a weapon.
+// The choice is replicated as a 'weapon' entity per player, so everyone sees the right gun
+// in each other's hands; the bullets it fires carry the type for their look and damage.
+export class WeaponManager {
+    constructor(engine) {
+        this.engine = engine;
+        this.type = DEFAULT_WEAPON;
+        this.entityId = null; // Our 'weapon' entity while in a room
+        this.lastButtons = [{}, {}];
+
+        // Meta Quest 3 Button Mapping (same as InputManager)
+        this.QUEST3_MAPPING = {
+            buttons: {
+                trigger: 0,    // Index finger trigger
+                grip: 1,       // Hand grip
+                thumbstick: 3, // Thumbstick press
+                X_A: 4         // X button (left) or A button (right)
+            }
+        };
+
+        // One weapon in each controller's grip space
+        this.hands = this.engine.inputManager.controllerGrips.map(grip => {
+            const weapon = new Weapon(this.type);
+            grip.add(weapon);
+            return weapon;
+        });
+
+        this.createAmmoDisplay();
+        this.registerEntityKind();
+
+        document.addEventListener('mousedown', (event) => {
+            if (event.button === 0 && !this.engine.renderer.xr.isPresenting) {
+                this.pressTrigger(DESKTOP_HAND);
+            }
+        });
+        document.addEventListener('mouseup', (event) => {
+            if (event.button === 0 && !this.engine.renderer.xr.isPresenting) {
+                this.releaseTrigger(DESKTOP_HAND);
+            }
+        });
+        window.addEventListener('keydown', (event) => {
+            if (event.repeat || event.target instanceof HTMLInputElement ||
+                event.target instanceof HTMLTextAreaElement) return; // Typing a room code
+            if (event.code === 'KeyR') {
+                this.reload(DESKTOP_HAND);
+            }
+            const index = ['Digit1', 'Digit2', 'Digit3'].indexOf(event.code);
+            if (index !== -1 && WEAPON_ORDER[index]) {
+                this.setType(WEAPON_ORDER[index]);
+            }
+        });
+    }
+
+    update() {
+        if (this.engine.renderer.xr.isPresenting) {
+            this.handleVRInput();
+        }
+
+        const now = Date.now();
+        this.hands.forEach(weapon => weapon.update(now));
+        this.updateAmmoDisplay();
+    }
+
+    handleVRInput() {
+        const session = this.engine.renderer.xr.getSession();
+        if (!session || !session.inputSources) return;
+
+        // Input sources line up with InputManager's controller indices
+        Array.from(session.inputSources).forEach((inputSource, i) => {
+            if (!inputSource.gamepad || !this.hands[i]) return;
+
+            const buttons = inputSource.gamepad.buttons;
+            const mapping = this.QUEST3_MAPPING.buttons;
+            const last = this.lastButtons[i];
+            const pressed = name => Boolean(buttons[mapping[name]]?.pressed);
+            const justPressed = name => pressed(name) && !last[name];
+
+            if (justPressed('trigger')) {
+                this.pressTrigger(i);
+            } else if (!pressed('trigger') && last.trigger) {
+                this.releaseTrigger(i);
+            }
+            if (justPressed('grip') || justPressed('X_A')) {
+                this.reload(i);
+            }
+            if (justPressed('thumbstick')) {
+                this.cycleType();
+            }
+
+            Object.keys(mapping).forEach(name => {
+                last[name] = pressed(name);
+            });
+        });
+    }
+
+    pressTrigger(hand) {
+        const weapon = this.hands[hand];
+        const shot = weapon.pressTrigger(Date.now());
+        if (shot) {
+            this.fire(hand, shot.charge);
+        } else if (weapon.ammo === 0) {
+            // Pulling on an empty magazine reloads it
+            this.reload(hand);
+        }
+    }
+
+    releaseTrigger(hand) {
+        const shot = this.hands[hand].releaseTrigger(Date.now());
+        if (shot) {
+            this.fire(hand, shot.charge);
+        }
+    }
+
+    reload(hand) {
+        if (this.hands[hand].reload(Date.now())) {
+            this.engine.bulletManager.audioManager.playReload();
+        }
+    }
+
+    // Fire from the controller's pointing ray in VR, or from the camera on desktop
+    fire(hand, charge) {
+        const position = new THREE.Vector3();
+        const quaternion = new THREE.Quaternion();
+        if (this.engine.renderer.xr.isPresenting) {
+            const controller = this.engine.inputManager.controllers[hand];
+            controller.getWorldPosition(position);
+            controller.getWorldQuaternion(quaternion);
+        } else {
+            this.engine.camera.getWorldPosition(position);
+            this.engine.camera.getWorldQuaternion(quaternion);
+            // Offset bullet spawn position slightly forward to avoid self-collision
+            position.add(new THREE.Vector3(0, 0, -0.5).applyQuaternion(quaternion));
+        }
+
+        // Pellets scatter evenly over a cone around the aim, all fired at the same moment
+        const { pellets, spread } = this.hands[hand].config;
+        const shotTime = this.engine.networkManager.getServerTime();
+        for (let i = 0; i < pellets; i++) {
+            const angle = spread * Math.sqrt(Math.random());
+            const around = Math.random() * Math.PI * 2;
+            const direction = new THREE.Vector3(
+                Math.sin(angle) * Math.cos(around),
+                Math.sin(angle) * Math.sin(around),
+                -Math.cos(angle)
+            ).applyQuaternion(quaternion);
+            this.engine.bulletManager.createBullet(position, direction, this.hands[hand].type, charge, hand, shotTime);
+        }
+
+        this.engine.bulletManager.audioManager.playShot(this.hands[hand].type);
+    }
+
+    setType(type) {
+        if (!isWeaponType(type) || type === this.type) return;
+
+        this.type = type;
+        this.hands.forEach(weapon => weapon.setType(type));
+
+        const entity = this.entityId && this.engine.networkManager.replication.get(this.entityId);
+        if (entity) {
+            entity.object.type = type;
+            this.engine.networkManager.replication.sendState(this.entityId, { type });
+        }
+    }
+
+    cycleType() {
+        this.setType(WEAPON_ORDER[(WEAPON_ORDER.indexOf(this.type) + 1) % WEAPON_ORDER.length]);
+    }
+
+    // Called on entering a room. A resumed session gets its old entity back in the snapshot
+    // (adopted in create below), so bring that up to date rather than spawning another.
+    announce() {
+        const replication = this.engine.networkManager.replication;
+        const entity = this.entityId && replication.get(this.entityId);
+        if (entity) {
+            entity.object.type = this.type;
+            replication.sendState(this.entityId, { type: this.type });
+            return;
+        }
+        this.entityId = replication.spawn('weapon', { type: this.type, ownerId: null, models: [] }).id;
+    }
+
+    // Replicated 'weapon' entities: which gun each player is holding
+    registerEntityKind() {
+        this.engine.networkManager.replication.register('weapon', {
+            create: (state, entity) => {
+                const loadout = { type: null, ownerId: entity.ownerId, models: [] };
+                if (entity.ownerId === this.engine.networkManager.localPlayerId) {
+                    loadout.type = this.type;
+                    this.entityId = entity.id;
+                } else {
+                    this.equipRemote(loadout, state.type);
+                }
+                return loadout;
+            },
+            serialize: loadout => ({ type: loadout.type }),
+            applyState: (loadout, state) => {
+                if (state.type !== loadout.type) {
+                    this.equipRemote(loadout, state.type);
+                }
+            },
+            destroy: (loadout, entity) => {
+                if (entity.id === this.entityId) {
+                    this.entityId = null;
+                }
+                loadout.models.forEach(model => model.removeFromParent());
+            }
+        });
+    }
+
+    // Put a model of `type` in each of a remote player's hands
+    equipRemote(loadout, type) {
+        loadout.type = isWeaponType(type) ? type : DEFAULT_WEAPON;
+        loadout.models.forEach(model => model.removeFromParent());
+
+        const player = this.engine.playerManager.players.get(loadout.ownerId);
+        loadout.models = player ? player.controllers.map(controller => {
+            const model = Weapon.createModel(loadout.type);
+            controller.add(model);
+            return model;
+        }) : [];
+    }
+
+    // Ammo for each hand: a DOM readout on desktop, a small label above each gun in VR
+    createAmmoDisplay() {
+        this.ammoText = document.createElement('div');
+        this.ammoText.style.position = 'absolute';
+        this.ammoText.style.bottom = '20px';
+        this.ammoText.style.right = '20px';
+        this.ammoText.style.zIndex = '1000';
+        this.ammoText.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+        this.ammoText.style.color = '#ffffff';
+        this.ammoText.style.font = '16px monospace';
+        this.ammoText.style.padding = '10px';
+        this.ammoText.style.borderRadius = '10px';
+        this.ammoText.style.pointerEvents = 'none';
+        document.body.appendChild(this.ammoText);
+
+        this.ammoLabels = this.hands.map(weapon => {
+            const canvas = document.createElement('canvas');
+            canvas.width = 256;
+            canvas.height = 64;
+
+            const texture = new THREE.CanvasTexture(canvas);
+            const material = new THREE.MeshBasicMaterial({ map: texture, transparent: true });
+            const mesh = new THREE.Mesh(new THREE.PlaneGeometry(0.12, 0.03), material);
+            mesh.position.set(0, 0.1, 0);
+            weapon.add(mesh);
+
+            return { texture, context: canvas.getContext('2d'), text: null };
+        });
+    }
+
+    getAmmoText(weapon) {
+        return weapon.isReloading ? 'RELOADING' : `${weapon.ammo} / ${weapon.config.magazine}`;
+    }
+
+    // Only redraw when the text changes
+    updateAmmoDisplay() {
+        const desktopWeapon = this.hands[DESKTOP_HAND];
+        const text = `${desktopWeapon.config.name}  ${this.getAmmoText(desktopWeapon)}`;
+        if (this.ammoText.textContent !== text) {
+            this.ammoText.textContent = text;
+        }
+        this.ammoText.style.display = this.engine.renderer.xr.isPresenting ? 'none' : 'block';
+
+        this.ammoLabels.forEach((label, i) => {
+            const labelText = this.getAmmoText(this.hands[i]);
+            if (label.text === labelText) return;
+            label.text = labelText;
+
+            const { context } = label;
+            context.clearRect(0, 0, 256, 64);
+            context.fillStyle = 'rgba(0, 0, 0, 0.6)';
+            context.fillRect(0, 0, 256, 64);
+            context.fillStyle = this.hands[i].ammo === 0 ? '#ff6666' : '#ffffff';
+            context.font = 'bold 36px Arial';
+            context.textAlign = 'center';
+            context.textBaseline = 'middle';
+            context.fillText(labelText, 128, 32);
+            label.texture.needsUpdate = true;
+        });
+    }
+}
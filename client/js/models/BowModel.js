@@ -0,0 +1,55 @@
+import * as THREE from 'three';
+
+const LIMB_REACH = 0.35; // Tip height above and below the grip
+const STRING_REST = 0.06; // How far the string sits behind the grip
+
+// Held upright in grip space, shooting down -Z. setDraw(0..1) pulls the string and
+// nocked arrow back while the trigger is held.
+export class BowModel extends THREE.Group {
+    constructor() {
+        super();
+        this.createBow();
+        this.setDraw(0);
+    }
+
+    createBow() {
+        const wood = new THREE.MeshStandardMaterial({ color: 0x5c3a1e, roughness: 0.8, metalness: 0.1 });
+
+        // Two limbs curving forward from the grip
+        const curve = new THREE.QuadraticBezierCurve3(
+            new THREE.Vector3(0, -LIMB_REACH, 0),
+            new THREE.Vector3(0, 0, -0.25),
+            new THREE.Vector3(0, LIMB_REACH, 0)
+        );
+        const limbs = new THREE.Mesh(new THREE.TubeGeometry(curve, 16, 0.01, 6, false), wood);
+        limbs.position.z = STRING_REST;
+        this.add(limbs);
+
+        // The string runs tip -> nock point -> tip; the nock point moves with the draw
+        this.stringGeometry = new THREE.BufferGeometry().setFromPoints([
+            new THREE.Vector3(0, LIMB_REACH, STRING_REST),
+            new THREE.Vector3(0, 0, STRING_REST),
+            new THREE.Vector3(0, -LIMB_REACH, STRING_REST)
+        ]);
+        this.add(new THREE.Line(this.stringGeometry, new THREE.LineBasicMaterial({ color: 0xdddddd })));
+
+        this.arrow = new THREE.Mesh(
+            new THREE.CylinderGeometry(0.005, 0.005, 0.5, 6),
+            new THREE.MeshStandardMaterial({ color: 0x8b5a2b, roughness: 0.7 })
+        );
+        this.arrow.rotation.x = Math.PI / 2;
+        this.add(this.arrow);
+    }
+
+    setDraw(draw) {
+        const nockZ = STRING_REST + 0.25 * draw;
+        this.stringGeometry.attributes.position.setZ(1, nockZ);
+        this.stringGeometry.attributes.position.needsUpdate = true;
+        this.arrow.position.z = nockZ - 0.25;
+    }
+
+    // The arrow only shows while one is nocked
+    setLoaded(loaded) {
+        this.arrow.visible = loaded;
+    }
+}
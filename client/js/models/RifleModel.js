@@ -1,43 +1,38 @@
 import * as THREE from 'three';
-import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 
+// Built from primitives: 'rifle model.glb' is a copy of the dirt terrain, not a rifle.
+// Held in grip space with the muzzle pointing down -Z.
 export class RifleModel extends THREE.Group {
     constructor() {
         super();
-        this.loadRifleModel();
+        this.createRifle();
     }
 
-    async loadRifleModel() {
-        const loader = new GLTFLoader();
-        try {
-            const gltf = await loader.loadAsync('/assets/models/rifle model.glb');
-            const model = gltf.scene;
-            
-            // Scale reduced by 200% (0.5) and flipped 180 degrees
-            model.scale.set(0.5, 0.5, 0.5);
-            model.position.set(0, -0.05, -0.2); // Moved down 0.1 units (from 0.05 to -0.05)
-            model.rotation.x = 0; // Remove downward angle
-            model.rotation.y = Math.PI; // 180-degree flip
-            
-            // Add the model to the group
-            this.add(model);
-            
-        } catch (error) {
-            console.error('Error loading rifle model:', error);
-            // Fallback to create a basic rifle if model fails to load
-            this.createBasicRifle();
-        }
-    }
+    createRifle() {
+        const metal = new THREE.MeshStandardMaterial({ color: 0x333333, roughness: 0.4, metalness: 0.8 });
+        const wood = new THREE.MeshStandardMaterial({ color: 0x6b4226, roughness: 0.8, metalness: 0.1 });
+
+        const body = new THREE.Mesh(new THREE.BoxGeometry(0.04, 0.06, 0.3), metal);
+        body.position.set(0, 0.02, -0.1);
+        this.add(body);
+
+        const barrel = new THREE.Mesh(new THREE.CylinderGeometry(0.01, 0.01, 0.35, 8), metal);
+        barrel.rotation.x = Math.PI / 2;
+        barrel.position.set(0, 0.035, -0.42);
+        this.add(barrel);
+
+        const scope = new THREE.Mesh(new THREE.CylinderGeometry(0.015, 0.015, 0.12, 8), metal);
+        scope.rotation.x = Math.PI / 2;
+        scope.position.set(0, 0.075, -0.12);
+        this.add(scope);
+
+        const stock = new THREE.Mesh(new THREE.BoxGeometry(0.035, 0.08, 0.18), wood);
+        stock.position.set(0, 0, 0.12);
+        this.add(stock);
 
-    // Fallback method in case the model fails to load
-    createBasicRifle() {
-        const geometry = new THREE.BoxGeometry(0.05, 0.08, 0.4);
-        const material = new THREE.MeshStandardMaterial({
-            color: 0x444444,
-            roughness: 0.7,
-            metalness: 0.5
-        });
-        const rifle = new THREE.Mesh(geometry, material);
-        this.add(rifle);
+        const grip = new THREE.Mesh(new THREE.BoxGeometry(0.03, 0.09, 0.04), wood);
+        grip.position.set(0, -0.04, 0);
+        grip.rotation.x = -0.3;
+        this.add(grip);
     }
 }
@@ -0,0 +1,30 @@
+import * as THREE from 'three';
+
+// Double-barrelled, held in grip space with the muzzles pointing down -Z
+export class ShotgunModel extends THREE.Group {
+    constructor() {
+        super();
+        this.createShotgun();
+    }
+
+    createShotgun() {
+        const metal = new THREE.MeshStandardMaterial({ color: 0x555560, roughness: 0.4, metalness: 0.8 });
+        const wood = new THREE.MeshStandardMaterial({ color: 0x8b5a2b, roughness: 0.8, metalness: 0.1 });
+
+        [-0.012, 0.012].forEach(x => {
+            const barrel = new THREE.Mesh(new THREE.CylinderGeometry(0.012, 0.012, 0.45, 8), metal);
+            barrel.rotation.x = Math.PI / 2;
+            barrel.position.set(x, 0.03, -0.3);
+            this.add(barrel);
+        });
+
+        const foreEnd = new THREE.Mesh(new THREE.BoxGeometry(0.045, 0.03, 0.15), wood);
+        foreEnd.position.set(0, 0.005, -0.2);
+        this.add(foreEnd);
+
+        const stock = new THREE.Mesh(new THREE.BoxGeometry(0.04, 0.08, 0.22), wood);
+        stock.position.set(0, -0.005, 0.1);
+        stock.rotation.x = 0.15;
+        this.add(stock);
+    }
+}
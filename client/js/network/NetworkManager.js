@@ -1,5 +1,10 @@
 import * as THREE from 'three';
 import { Bullet } from '../entities/Bullet.js';
+import { encodePose, decodePoseFrame } from './PoseCodec.js';
+import { NetworkStats } from './NetworkStats.js';
+import { ReplicationManager } from './ReplicationManager.js';
+import { MESSAGE_TYPES as MSG, ERROR_CODES, PROTOCOL_VERSION } from '/shared/protocol.mjs';
+import { SimulatedLink, normalizeConditions } from '/shared/networkConditions.mjs';
 
 export class NetworkManager {
     constructor(engine) {
@@ -11,36 +16,94 @@ export class NetworkManager {
         this.connected = false;
         this.ws = null;
         this.onConnect = null; // Callback for when connection is established
+        this.onUnknownMessage = null; // Diagnostics hook for message types without handlers
+        this.unknownMessageCounts = new Map(); // type -> count
+        this.handlers = new Map(); // type -> Set of handlers
         this.currentRoom = null; // Track current room
         this.isHost = false; // Track if this client is the host
+        this.lastHostedRoom = null; // Room we were hosting when the connection dropped
+        this.lastHostOptions = {}; // Privacy, password, capacity and mode of the room we last hosted
+        this.playerName = null; // Sent when hosting or joining; the server keeps our high scores under it
+
+        // Automatic reconnection
+        this.resumeToken = null; // Issued by the server on init
+        this.reconnectTimer = null;
+        this.reconnectAttempts = 0;
+        this.maxReconnectAttempts = 6;
+        this.reconnectBaseDelay = 500; // ms, doubled on every attempt
+        this.reconnectMaxDelay = 8000; // ms
+
+        // NTP-style clock sync: gameplay timestamps are all in server time
+        this.serverTimeOffset = 0; // serverTime - Date.now()
+        this.rtt = 0; // ms
+        this.jitter = 0; // ms, mean change between consecutive round trips
+        this.timeSyncSamples = []; // Recent { rtt, offset }, newest last
+        this.maxTimeSyncSamples = 8;
+        this.timeSyncBurst = 5; // Quick pings after connecting, before settling on the interval
+        this.timeSyncInterval = 5000; // ms
+        this.timeSyncTimer = null;
+
+        // Dead-server detection: timeSync pings get a reply every few seconds, so a silent
+        // socket means the server or the network path is gone even if no close arrived
+        this.lastMessageTime = 0;
+        this.staleTimeout = 15000; // ms without any message before we give up on the socket
+        this.staleCheckInterval = 1000; // ms
+        this.staleCheckTimer = null;
+
+        // Position updates go out as compact binary frames; ?netFormat=json sends readable JSON for debugging
+        const pageParams = new URLSearchParams(window.location.search);
+        this.binaryPositions = pageParams.get('netFormat') !== 'json';
+
+        // Simulated bad network for testing sync, in both directions:
+        // ?netLatency=ms&netJitter=ms&netLoss=%&netReorder=%, or live from the network debug overlay
+        const percent = name => pageParams.has(name) ? Number(pageParams.get(name)) / 100 : undefined;
+        this.netConditions = normalizeConditions({
+            latency: pageParams.get('netLatency') ?? undefined,
+            jitter: pageParams.get('netJitter') ?? undefined,
+            loss: percent('netLoss'),
+            reorder: percent('netReorder')
+        });
+        this.outboundLink = new SimulatedLink(this.netConditions);
+        this.inboundLink = new SimulatedLink(this.netConditions);
+        this.roomNetConditions = null; // What the server simulates for our room, if anything
+
+        // Wire traffic per direction and message type, for the stats HUD
+        this.traffic = new NetworkStats();
+
+        this.registerDefaultHandlers();
+        this.replication = new ReplicationManager(this); // Birds, bullets and any other networked objects
     }
 
     async connect() {
         return new Promise((resolve, reject) => {
             try {
                 const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-                this.ws = new WebSocket(`${protocol}//${window.location.host}`);
+                // Declare our protocol version, and ask for our old id and room back if we dropped out of one
+                const params = new URLSearchParams({ v: PROTOCOL_VERSION });
+                if (this.resumeToken && this.currentRoom) {
+                    params.set('resume', this.resumeToken);
+                }
+                this.ws = new WebSocket(`${protocol}//${window.location.host}/?${params}`);
+                this.ws.binaryType = 'arraybuffer';
 
                 this.ws.onopen = () => {
                     this.connected = true;
+                    this.startTimeSync();
+                    this.startStaleCheck();
                     if (this.onConnect) {
                         this.onConnect();
                     }
                     resolve();
                 };
                 
-                this.ws.onclose = () => {
-                    this.connected = false;
-                    this.currentRoom = null; // Clear room on disconnect
-                    this.clearPlayers(); // Clear all players on disconnect
-                };
+                this.ws.onclose = () => this.handleSocketClosed();
                 
                 this.ws.onerror = (error) => {
                     console.error('WebSocket error:', error);
                     reject(error);
                 };
                 
-                this.ws.onmessage = (event) => this.handleMessage(event);
+                this.ws.onmessage = (event) => this.receive(event);
             } catch (error) {
                 console.error('Failed to connect:', error);
                 reject(error);
@@ -52,183 +115,398 @@ export class NetworkManager {
         if (this.ws) {
             if (this.currentRoom) {
                 // Send leave message before disconnecting
-                this.send({
-                    type: 'leave',
-                    roomCode: this.currentRoom
-                });
+                this.sendLeave();
             }
             this.ws.close();
             this.ws = null;
             this.connected = false;
             this.currentRoom = null;
             this.clearPlayers();
+            this.replication.clear();
+        }
+
+        // Leaving on purpose, so there is nothing to resume
+        this.stopStaleCheck();
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.reconnectAttempts = 0;
+        this.resumeToken = null;
+    }
+
+    handleSocketClosed() {
+        this.connected = false;
+        this.stopTimeSync();
+        this.stopStaleCheck();
+
+        // Dropped out of a room: keep everything as-is and try to resume
+        if (this.currentRoom && this.resumeToken) {
+            this.scheduleReconnect();
+        } else {
+            this.handleConnectionLost();
         }
     }
 
+    startStaleCheck() {
+        this.stopStaleCheck();
+        this.lastMessageTime = Date.now();
+        this.staleCheckTimer = setInterval(() => this.checkForStaleConnection(), this.staleCheckInterval);
+    }
+
+    stopStaleCheck() {
+        clearInterval(this.staleCheckTimer);
+        this.staleCheckTimer = null;
+    }
+
+    // Runs late after the headset sleeps, which is exactly when the socket is most likely dead
+    checkForStaleConnection() {
+        const silence = Date.now() - this.lastMessageTime;
+        if (silence < this.staleTimeout || !this.ws) return;
+
+        console.warn(`[RECONNECT] Nothing from the server for ${silence}ms, dropping the connection`);
+
+        // A half-open socket can take minutes to report its close, so stop listening and move on now
+        const ws = this.ws;
+        ws.onopen = null;
+        ws.onclose = null;
+        ws.onerror = null;
+        ws.onmessage = null;
+        ws.close();
+        this.handleSocketClosed();
+    }
+
+    scheduleReconnect() {
+        if (this.reconnectTimer) return;
+
+        if (this.reconnectAttempts >= this.maxReconnectAttempts) {
+            console.warn('[RECONNECT] Giving up after', this.reconnectAttempts, 'attempts');
+            this.reconnectAttempts = 0;
+            this.handleConnectionLost();
+            if (this.engine.sessionManager) {
+                this.engine.sessionManager.showError('Connection lost. Please rejoin a session.');
+                this.engine.sessionManager.showUI();
+            }
+            return;
+        }
+
+        // Exponential backoff with a little jitter so a room's headsets don't reconnect in lockstep
+        const delay = Math.min(
+            this.reconnectBaseDelay * Math.pow(2, this.reconnectAttempts),
+            this.reconnectMaxDelay
+        ) * (0.8 + Math.random() * 0.4);
+        this.reconnectAttempts++;
+        console.log(`[RECONNECT] Attempt ${this.reconnectAttempts} in ${Math.round(delay)}ms`);
+
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            // A failed attempt closes the socket, which schedules the next one
+            this.connect().catch(() => {});
+        }, delay);
+    }
+
+    handleConnectionLost() {
+        // The server keeps an empty room open for a grace period, so remember it
+        if (this.isHost && this.currentRoom) {
+            this.lastHostedRoom = this.currentRoom;
+        }
+        this.currentRoom = null; // Clear room on disconnect
+        this.roomNetConditions = null;
+        this.clearPlayers(); // Clear all players on disconnect
+        this.replication.clear();
+    }
+
     clearPlayers() {
         // Remove all players except local
-        for (const [id, player] of this.players) {
-            if (id !== this.localPlayerId) {
-                this.engine.playerManager.removePlayer(id);
+        const playerManager = this.engine.playerManager;
+        for (const id of Array.from(playerManager.players.keys())) {
+            if (playerManager.players.get(id) !== playerManager.localPlayer) {
+                playerManager.removePlayer(id);
             }
         }
         this.players.clear();
     }
 
-    handleMessage(message) {
-        const data = JSON.parse(message.data);
-        
-        switch(data.type) {
-            case 'init':
-                this.localPlayerId = data.id;
-                break;
-                
-            case 'hostConfirm':
-                this.currentRoom = data.roomCode;
-                this.isHost = true;
-                this.engine.playerManager.createLocalPlayer();
-                
-                if (data.players) {
-                    data.players.forEach(player => {
-                        if (player.id !== this.localPlayerId) {
-                            this.engine.playerManager.addPlayer(player.id);
-                            if (player.position) {
-                                this.engine.playerManager.updatePlayer(player.id, {
-                                    position: player.position,
-                                    headPosition: player.headPosition,
-                                    headRotation: player.headRotation,
-                                    controllers: player.controllers
-                                });
-                            }
-                        }
-                    });
-                }
-                break;
-                
-            case 'joinConfirm':
-            case 'autoJoinConfirm':
-                this.currentRoom = data.roomCode;
-                this.isHost = false;
-                this.engine.playerManager.createLocalPlayer();
-                
-                if (data.players) {
-                    data.players.forEach(player => {
-                        if (player.id !== this.localPlayerId) {
-                            this.engine.playerManager.addPlayer(player.id);
-                            if (player.position) {
-                                this.engine.playerManager.updatePlayer(player.id, {
-                                    position: player.position,
-                                    headPosition: player.headPosition,
-                                    headRotation: player.headRotation,
-                                    controllers: player.controllers
-                                });
-                            }
-                        }
-                    });
-                }
-                break;
-                
-            case 'playerJoined':
-                if (!this.currentRoom) return;
-                if (data.id !== this.localPlayerId) {
-                    this.engine.playerManager.addPlayer(data.id);
-                }
-                break;
-                
-            case 'playerLeft':
-                if (!this.currentRoom) return;
-                if (data.id !== this.localPlayerId) {
-                    this.engine.playerManager.removePlayer(data.id);
+    // Subscribe to a message type; returns a function that unsubscribes
+    on(type, handler) {
+        if (!this.handlers.has(type)) {
+            this.handlers.set(type, new Set());
+        }
+        this.handlers.get(type).add(handler);
+        return () => this.off(type, handler);
+    }
+
+    off(type, handler) {
+        const handlers = this.handlers.get(type);
+        if (handlers) {
+            handlers.delete(handler);
+            if (handlers.size === 0) {
+                this.handlers.delete(type);
+            }
+        }
+    }
+
+    registerDefaultHandlers() {
+        // Session and clock
+        this.on(MSG.INIT, data => {
+            if (data.protocolVersion !== PROTOCOL_VERSION) {
+                console.error(`[NETWORK] Server speaks protocol ${data.protocolVersion}, we speak ${PROTOCOL_VERSION}`);
+                this.disconnect();
+                if (this.engine.sessionManager) {
+                    this.engine.sessionManager.showUI();
+                    this.engine.sessionManager.showError(null, ERROR_CODES.VERSION_MISMATCH);
                 }
-                break;
-                
-            case 'position':
-                if (!this.currentRoom) return;
-                if (data.id !== this.localPlayerId) {
-                    this.engine.playerManager.updatePlayer(data.id, {
-                        position: data.position,
-                        headPosition: data.headPosition,
-                        headRotation: data.headRotation,
-                        controllers: data.controllers
-                    });
+                return;
+            }
+            this.localPlayerId = data.id;
+            this.resumeToken = data.resumeToken;
+            // Coarse offset until the first timeSync replies arrive
+            if (Number.isFinite(data.serverTime) && this.timeSyncSamples.length === 0) {
+                this.serverTimeOffset = data.serverTime - Date.now();
+            }
+        });
+        this.on(MSG.TIME_SYNC, data => this.handleTimeSync(data));
+        this.on(MSG.RESUMED, data => this.handleResumed(data));
+        this.on(MSG.RESUME_FAILED, data => {
+            console.warn('[RECONNECT] Session could not be resumed', data.code || '');
+            this.reconnectAttempts = 0;
+            this.handleConnectionLost();
+            if (this.engine.sessionManager) {
+                // ROOM_FULL: our place was given away (e.g. we came back over a stale socket)
+                const message = data.code === ERROR_CODES.ROOM_FULL ?
+                    'The room filled up while you were away. Please join another session.' :
+                    'Connection lost. Please rejoin a session.';
+                this.engine.sessionManager.showError(message);
+                this.engine.sessionManager.showUI();
+            }
+        });
+        this.on(MSG.ERROR, data => {
+            const floodError = data.code === ERROR_CODES.RATE_LIMITED ||
+                data.code === ERROR_CODES.MESSAGE_TOO_LARGE;
+
+            // Flood warnings point at a bug on our side; they mean nothing to the player
+            if (floodError && !data.disconnected) {
+                console.warn('Server throttled our messages:', data.code, data.messageType, data.message);
+                return;
+            }
+            // Host status moved on before our start request arrived; let whoever hosts now start it
+            if (data.code === ERROR_CODES.NOT_HOST) {
+                console.warn('Only the host can start a match');
+                this.engine.uiManager.startRequested = false;
+                return;
+            }
+            // A refused spawn only exists here, so take it back out
+            if (data.code === ERROR_CODES.ENTITY_LIMIT || data.code === ERROR_CODES.ENTITY_REJECTED) {
+                console.warn('Server rejected entity', data.entityId, data.message);
+                this.replication.remove(data.entityId, 'rejected');
+                return;
+            }
+            console.error('Server error:', data.code, data.message);
+
+            // The server closes the socket after a version mismatch or flooding; don't try to resume
+            if (data.code === ERROR_CODES.VERSION_MISMATCH || floodError) {
+                this.disconnect();
+            }
+            if (this.engine.sessionManager) {
+                // A rejected host/join leaves us outside a room, so bring the menu back
+                if (!this.currentRoom) {
+                    this.engine.sessionManager.showUI();
                 }
-                break;
+                this.engine.sessionManager.showError(data.message, data.code);
+            }
+        });
 
-            case 'bulletSpawned':
-                this.engine.bulletManager.handleNetworkBulletSpawn(data.data, data.senderId);
-                break;
+        // Rooms
+        this.on(MSG.HOST_CONFIRM, data => {
+            this.currentRoom = data.roomCode;
+            this.isHost = true;
+            this.engine.playerManager.createLocalPlayer();
 
-            case 'bulletHit':
-                this.engine.bulletManager.handleNetworkBulletHit(data.data);
-                break;
+            // Reclaimed an existing room, so carry on with its birds and timer
+            if (data.snapshot) {
+                this.applySnapshot(data.snapshot);
+            }
+            this.engine.weaponManager.announce();
+        });
+        const handleJoined = data => {
+            this.currentRoom = data.roomCode;
+            this.isHost = data.hostId === this.localPlayerId;
+            this.engine.playerManager.createLocalPlayer();
+            this.applySnapshot(data.snapshot);
+            this.engine.weaponManager.announce();
+        };
+        this.on(MSG.JOIN_CONFIRM, handleJoined);
+        this.on(MSG.AUTO_JOIN_CONFIRM, handleJoined);
+        this.onRoom(MSG.HOST_CHANGED, data => this.handleHostChanged(data));
 
-            case 'sphereSpawned':
-                if (data.senderId !== this.localPlayerId) {
-                    console.debug('[DEBUG] Received sphere spawn message:', data);
-                    this.engine.sphereManager.handleNetworkSphereSpawn(data.data, data.senderId);
-                }
-                break;
+        // Players
+        this.onRoom(MSG.PLAYER_JOINED, data => {
+            if (data.id !== this.localPlayerId) {
+                this.engine.playerManager.addPlayer(data.id);
+            }
+        });
+        this.onRoom(MSG.PLAYER_LEFT, data => {
+            if (data.id !== this.localPlayerId) {
+                this.engine.playerManager.removePlayer(data.id);
+            }
+        });
+        this.onRoom(MSG.PLAYER_RECONNECTING, data => this.engine.playerManager.setPlayerReconnecting(data.id, true));
+        this.onRoom(MSG.PLAYER_RESUMED, data => this.engine.playerManager.setPlayerReconnecting(data.id, false));
+        this.onRoom(MSG.POSITION, data => {
+            if (data.id === this.localPlayerId) return;
+            this.engine.playerManager.updatePlayer(data.id, {
+                time: data.time,
+                position: data.position,
+                headPosition: data.headPosition,
+                headRotation: data.headRotation,
+                controllers: data.controllers
+            });
+        });
 
-            case 'sphereRemoved':
-                this.engine.sphereManager.handleNetworkSphereRemoved(data.data);
-                break;
+        // Gameplay
+        this.on(MSG.BIRD_HIT, data => this.engine.birdManager.handleNetworkBirdHit(data.data));
+        this.on(MSG.MATCH_PHASE, data => this.engine.uiManager.applyMatchPhase(data));
 
-            case 'birdSpawned':
-                if (data.senderId !== this.localPlayerId) {
-                    console.debug('[DEBUG] Received bird spawn message:', data);
-                    this.engine.birdManager.handleNetworkBirdSpawn(data.data);
-                }
-                break;
-
-            case 'birdRemoved':
-                this.engine.birdManager.handleNetworkBirdRemoved(data.data);
-                break;
-
-            case 'birdKilled':
-                console.debug('[DEBUG] Received bird kill message:', data);
-                this.engine.birdManager.handleBirdKilled(data.data);
-                break;
-
-            case 'birdHit':
-                console.debug('[DEBUG] Received bird hit message:', data);
-                this.engine.birdManager.handleNetworkBirdHit(data.data);
-                break;
-
-            case 'gameStart':
-                console.debug('[DEBUG] Received game start message:', data);
-                this.engine.handleNetworkMessage(data, data.senderId);
-                break;
-
-            case 'voice_ready':
-                this.engine.voiceManager.handleVoiceReady(data.playerId);
-                break;
-            
-            case 'voice_offer':
-                this.engine.voiceManager.handleVoiceOffer(data.playerId, data.offer);
-                break;
-            
-            case 'voice_answer':
-                this.engine.voiceManager.handleVoiceAnswer(data.playerId, data.answer);
-                break;
-            
-            case 'voice_ice_candidate':
-                this.engine.voiceManager.handleVoiceIceCandidate(data.playerId, data.candidate);
-                break;
-            
-            case 'voice_stop':
-                this.engine.voiceManager.handleVoiceStop(data.playerId);
-                break;
+        // Voice chat signalling
+        this.on(MSG.VOICE_READY, data => this.engine.voiceManager.handleVoiceReady(data.playerId));
+        this.on(MSG.VOICE_OFFER, data => this.engine.voiceManager.handleVoiceOffer(data.playerId, data.offer));
+        this.on(MSG.VOICE_ANSWER, data => this.engine.voiceManager.handleVoiceAnswer(data.playerId, data.answer));
+        this.on(MSG.VOICE_ICE_CANDIDATE, data => this.engine.voiceManager.handleVoiceIceCandidate(data.playerId, data.candidate));
+        this.on(MSG.VOICE_STOP, data => this.engine.voiceManager.handleVoiceStop(data.playerId));
 
-            case 'error':
-                console.error('Server error:', data.message);
-                if (this.engine.sessionManager) {
-                    this.engine.sessionManager.showError(data.message);
-                }
-                break;
+        // Development
+        this.onRoom(MSG.NET_CONDITIONS, data => {
+            console.log(`[NETWORK] Player ${data.senderId} set room conditions:`, data.conditions);
+            this.roomNetConditions = data.conditions;
+        });
+    }
 
-            default:
-                console.warn('Unknown message type:', data.type);
+    // Like on(), but only while we are in a room
+    onRoom(type, handler) {
+        return this.on(type, data => {
+            if (this.currentRoom) {
+                handler(data);
+            }
+        });
+    }
+
+    receive(event) {
+        this.lastMessageTime = Date.now();
+
+        const data = this.decodeMessage(event);
+        if (data) {
+            const binary = event.data instanceof ArrayBuffer;
+            this.traffic.record('in', typeof data.type === 'string' ? data.type : 'unknown',
+                binary ? event.data.byteLength : event.data.length);
+            this.inboundLink.send(() => this.dispatch(data), binary ? null : data.type);
+        }
+    }
+
+    decodeMessage(message) {
+        // Binary frames are relayed position updates
+        if (message.data instanceof ArrayBuffer) {
+            const frame = decodePoseFrame(message.data);
+            if (!frame) {
+                this.reportUnknownMessage({ type: 'binary', byteLength: message.data.byteLength });
+                return null;
+            }
+            return { type: MSG.POSITION, id: frame.senderId, ...frame.pose };
         }
+
+        // Like the server, count a frame we can't read rather than let it throw
+        let data;
+        try {
+            data = JSON.parse(message.data);
+        } catch (error) {
+            data = null;
+        }
+        if (!data || typeof data !== 'object' || typeof data.type !== 'string') {
+            this.reportUnknownMessage({ type: 'malformed', length: message.data.length });
+            return null;
+        }
+        return data;
+    }
+
+    dispatch(data) {
+        const handlers = this.handlers.get(data.type);
+        if (!handlers) {
+            this.reportUnknownMessage(data);
+            return;
+        }
+
+        handlers.forEach(handler => {
+            try {
+                handler(data);
+            } catch (error) {
+                console.error(`Error handling ${data.type} message:`, error);
+            }
+        });
+    }
+
+    // Diagnostics for messages nobody subscribed to
+    reportUnknownMessage(data) {
+        this.unknownMessageCounts.set(data.type, (this.unknownMessageCounts.get(data.type) || 0) + 1);
+        if (this.onUnknownMessage) {
+            this.onUnknownMessage(data);
+        }
+    }
+
+    handleHostChanged(data) {
+        const wasHost = this.isHost;
+        this.isHost = data.hostId === this.localPlayerId;
+        console.log(`[HOST] Player ${data.hostId} is now the host`);
+
+        // Pick up bird spawning and the match timer where the old host left off
+        if (this.isHost && !wasHost && data.state) {
+            this.restoreGameState(data.state);
+        }
+    }
+
+    handleResumed(data) {
+        console.log(`[RECONNECT] Resumed as player ${this.localPlayerId} in room ${data.roomCode}`);
+        this.reconnectAttempts = 0;
+        this.currentRoom = data.roomCode;
+        this.isHost = data.hostId === this.localPlayerId;
+
+        // Drop remote players who left while we were away, then catch up on the rest
+        const playerManager = this.engine.playerManager;
+        const remoteIds = new Set(data.snapshot.players.map(player => player.id));
+        for (const id of Array.from(playerManager.players.keys())) {
+            if (id !== this.localPlayerId && !remoteIds.has(id)) {
+                playerManager.removePlayer(id);
+            }
+        }
+        this.applySnapshot(data.snapshot);
+        this.engine.weaponManager.announce();
+    }
+
+    // Rebuild the room from the server's snapshot when joining or resuming mid-match
+    applySnapshot(snapshot) {
+        const playerManager = this.engine.playerManager;
+        snapshot.players.forEach(player => {
+            if (player.id === this.localPlayerId) return;
+            playerManager.addPlayer(player.id);
+            playerManager.setPlayerReconnecting(player.id, player.reconnecting);
+            if (player.position) {
+                playerManager.updatePlayer(player.id, {
+                    time: player.time,
+                    position: player.position,
+                    headPosition: player.headPosition,
+                    headRotation: player.headRotation,
+                    controllers: player.controllers
+                });
+            }
+        });
+
+        this.restoreGameState(snapshot);
+    }
+
+    restoreGameState(state) {
+        state.scores.forEach(({ playerId, score }) => {
+            this.engine.scoreManager.setScore(playerId, score);
+        });
+        // The match state carries the wave schedule that birds' flight speeds depend on
+        this.engine.uiManager.applyMatchPhase(state.match);
+        this.replication.restore(state.entities);
+        this.engine.birdManager.resetSpawnTimer();
     }
 
     async autoJoinRoom() {
@@ -243,21 +521,13 @@ export class NetworkManager {
                     reject(new Error('Auto join timed out'));
                 }, 5000);
 
-                const checkAutoJoin = (event) => {
-                    const message = JSON.parse(event.data);
-                    if (message.type === 'autoJoinConfirm') {
-                        clearTimeout(timeout);
-                        this.ws.removeEventListener('message', checkAutoJoin);
-                        this.currentRoom = message.roomCode;
-                        resolve(message);
-                    }
-                };
-
-                this.ws.addEventListener('message', checkAutoJoin);
-                
-                this.send({
-                    type: 'autoJoin'
+                const unsubscribe = this.on(MSG.AUTO_JOIN_CONFIRM, (message) => {
+                    clearTimeout(timeout);
+                    unsubscribe();
+                    resolve(message);
                 });
+                
+                this.sendAutoJoin();
             });
         } catch (error) {
             console.error('Failed to auto join:', error);
@@ -265,27 +535,118 @@ export class NetworkManager {
         }
     }
 
-    async hostRoom() {
+    async hostRoom(options = {}) {
         if (!this.connected) {
             await this.connect();
         }
 
-        const roomCode = Math.random().toString(36).substring(2, 8).toUpperCase();
-        this.send({
-            type: 'host',
-            roomCode: roomCode
-        });
+        // Try to reclaim a room we dropped out of before making a new one
+        const reclaiming = Boolean(this.lastHostedRoom);
+        const roomCode = this.lastHostedRoom || Math.random().toString(36).substring(2, 8).toUpperCase();
+        const settings = reclaiming ? this.lastHostOptions : options;
+        this.lastHostedRoom = null;
+        this.lastHostOptions = settings;
+
+        this.sendHost(roomCode, settings);
     }
 
-    async joinRoom(roomCode) {
+    async joinRoom(roomCode, password) {
         if (!this.connected) {
             await this.connect();
         }
 
-        this.send({
-            type: 'join',
-            roomCode: roomCode
+        this.sendJoin(roomCode, password);
+    }
+
+    startTimeSync() {
+        this.stopTimeSync();
+        this.timeSyncSamples = [];
+        this.sendTimeSync();
+    }
+
+    stopTimeSync() {
+        clearTimeout(this.timeSyncTimer);
+        this.timeSyncTimer = null;
+    }
+
+    sendTimeSync() {
+        this.send({ type: MSG.TIME_SYNC, clientTime: Date.now() });
+
+        // A quick burst to converge, then occasional pings to track drift
+        const delay = this.timeSyncSamples.length < this.timeSyncBurst ? 200 : this.timeSyncInterval;
+        this.timeSyncTimer = setTimeout(() => this.sendTimeSync(), delay);
+    }
+
+    handleTimeSync(data) {
+        const now = Date.now();
+        const rtt = now - data.clientTime;
+        if (rtt < 0) return;
+
+        // Assume the reply spent half the round trip in flight
+        this.timeSyncSamples.push({
+            rtt,
+            offset: data.serverTime + rtt / 2 - now
         });
+        if (this.timeSyncSamples.length > this.maxTimeSyncSamples) {
+            this.timeSyncSamples.shift();
+        }
+
+        // Trust the fastest round trips most: they had the least room for asymmetric delay
+        const fastest = this.timeSyncSamples.slice()
+            .sort((a, b) => a.rtt - b.rtt)
+            .slice(0, Math.ceil(this.timeSyncSamples.length / 2));
+        const offsets = fastest.map(sample => sample.offset).sort((a, b) => a - b);
+        this.serverTimeOffset = offsets[Math.floor(offsets.length / 2)];
+
+        const rtts = this.timeSyncSamples.map(sample => sample.rtt);
+        const sortedRtts = rtts.slice().sort((a, b) => a - b);
+        this.rtt = sortedRtts[Math.floor(sortedRtts.length / 2)];
+
+        let variation = 0;
+        for (let i = 1; i < rtts.length; i++) {
+            variation += Math.abs(rtts[i] - rtts[i - 1]);
+        }
+        this.jitter = rtts.length > 1 ? variation / (rtts.length - 1) : 0;
+    }
+
+    // Current time on the server's clock
+    getServerTime() {
+        return Date.now() + this.serverTimeOffset;
+    }
+
+    // Connection quality for the stats HUD and debugging; rates cover the last second
+    getStats() {
+        const now = performance.now();
+        const serverNow = this.getServerTime();
+        const playerManager = this.engine.playerManager;
+        const players = [];
+        playerManager.players.forEach((player, id) => {
+            if (player.isLocal || !player.snapshots) return;
+            players.push({
+                id,
+                bufferDepth: player.snapshots.depthAt(serverNow),
+                bufferSize: player.snapshots.size,
+                bufferDelay: Math.round(player.snapshots.renderDelay)
+            });
+        });
+
+        return {
+            connected: this.connected,
+            roomCode: this.currentRoom,
+            rtt: this.rtt,
+            jitter: this.jitter,
+            serverTimeOffset: this.serverTimeOffset,
+            traffic: this.traffic.getRates(now), // { in, out }: messagesPerSecond, bytesPerSecond, byType
+            totals: this.traffic.totals,
+            players,
+            unknownMessages: Object.fromEntries(this.unknownMessageCounts),
+            simulator: {
+                local: { ...this.netConditions },
+                room: this.roomNetConditions,
+                outbound: { ...this.outboundLink.stats },
+                inbound: { ...this.inboundLink.stats }
+            }
+        };
     }
 
     update(delta) {
@@ -302,13 +663,21 @@ export class NetworkManager {
         const player = this.engine.playerManager.localPlayer;
         if (!this.connected || !this.currentRoom || !player || !player.mesh) return;
 
-        // Get the network update from the player which includes all necessary data
+        // Get the network update from the player which includes all necessary data; the
+        // server-clock timestamp lets receivers place it on the timeline whatever the jitter
         const playerData = player.getNetworkUpdate();
+        playerData.time = this.getServerTime();
+
+        if (this.binaryPositions) {
+            this.transmit(encodePose(playerData), null);
+            return;
+        }
         
         const update = {
-            type: 'position',
+            type: MSG.POSITION,
             roomCode: this.currentRoom,
             id: this.localPlayerId,
+            time: playerData.time,
             position: playerData.position,
             headPosition: playerData.headPosition,
             headRotation: playerData.headRotation,
@@ -318,13 +687,100 @@ export class NetworkManager {
         this.send(update);
     }
 
+    // Typed outbound messages
+
+    sendHost(roomCode, settings = {}) {
+        this.send({
+            type: MSG.HOST,
+            roomCode: roomCode,
+            isPrivate: Boolean(settings.isPrivate),
+            password: settings.password || undefined,
+            maxPlayers: settings.maxPlayers,
+            mode: settings.mode,
+            name: this.playerName || undefined
+        });
+    }
+
+    sendJoin(roomCode, password) {
+        this.send({
+            type: MSG.JOIN,
+            roomCode: roomCode,
+            password: password || undefined,
+            name: this.playerName || undefined
+        });
+    }
+
+    sendAutoJoin() {
+        this.send({ type: MSG.AUTO_JOIN, name: this.playerName || undefined });
+    }
+
+    sendLeave() {
+        this.send({ type: MSG.LEAVE, roomCode: this.currentRoom });
+    }
+
+    sendStartMatch() {
+        this.send({ type: MSG.START_MATCH });
+    }
+
+    // `entity` is { id, kind, state }; the server fills in the owner and spawn time
+    sendEntitySpawn(entity) {
+        this.send({ type: MSG.ENTITY_SPAWN, entity });
+    }
+
+    sendEntityDespawn(id, reason) {
+        this.send({ type: MSG.ENTITY_DESPAWN, id, reason });
+    }
+
+    sendEntityState(id, state) {
+        this.send({ type: MSG.ENTITY_STATE, id, state });
+    }
+
+    // WebRTC signalling; `payload` carries targetId and the offer, answer or candidate
+    sendVoice(type, payload = {}) {
+        this.send({
+            type,
+            playerId: this.localPlayerId,
+            roomCode: this.currentRoom,
+            ...payload
+        });
+    }
+
+    // Ask the server to simulate these conditions for the whole room (needs ALLOW_NET_SIM=1)
+    sendNetConditions(conditions) {
+        this.send({
+            type: MSG.NET_CONDITIONS,
+            ...normalizeConditions(conditions)
+        });
+    }
+
     send(data) {
         if (this.connected && this.ws && this.ws.readyState === WebSocket.OPEN) {
             // Add room code to all messages if in a room
             if (this.currentRoom && !data.roomCode) {
                 data.roomCode = this.currentRoom;
             }
-            this.ws.send(JSON.stringify(data));
+            this.transmit(JSON.stringify(data), data.type);
         }
     }
+
+    // Put a payload on the wire, through the simulated network if one is configured.
+    // `type` is null for binary position frames.
+    transmit(payload, type) {
+        const ws = this.ws;
+        if (!ws || ws.readyState !== WebSocket.OPEN) return;
+
+        this.outboundLink.send(() => {
+            if (ws.readyState === WebSocket.OPEN) {
+                ws.send(payload);
+                this.traffic.record('out', type || MSG.POSITION,
+                    typeof payload === 'string' ? payload.length : payload.byteLength);
+            }
+        }, type);
+    }
+
+    // Change the simulated network conditions on our own connection
+    setNetConditions(conditions) {
+        Object.assign(this.netConditions, normalizeConditions(conditions, this.netConditions));
+        console.log('[NETWORK] Simulated conditions:', this.netConditions);
+    }
 }
@@ -0,0 +1,71 @@
+// Counts messages and bytes on the wire per direction and message type, and reports
+// them as rates over the last complete window.
+export class NetworkStats {
+    constructor(windowMs = 1000) {
+        this.windowMs = windowMs;
+        this.windowStart = performance.now();
+        this.current = this.createWindow();
+        this.rates = this.toRates(this.createWindow(), windowMs); // Last complete window
+        this.totals = { in: { messages: 0, bytes: 0 }, out: { messages: 0, bytes: 0 } };
+    }
+
+    createWindow() {
+        return { in: new Map(), out: new Map() }; // type -> { messages, bytes }
+    }
+
+    // `direction` is 'in' or 'out'; binary position frames are recorded as 'position'
+    record(direction, type, bytes, now = performance.now()) {
+        this.roll(now);
+
+        const counters = this.current[direction];
+        let counter = counters.get(type);
+        if (!counter) {
+            counter = { messages: 0, bytes: 0 };
+            counters.set(type, counter);
+        }
+        counter.messages++;
+        counter.bytes += bytes;
+
+        this.totals[direction].messages++;
+        this.totals[direction].bytes += bytes;
+    }
+
+    // Close the current window once it has run its length, averaging over however long it really ran
+    roll(now) {
+        const elapsed = now - this.windowStart;
+        if (elapsed < this.windowMs) return;
+
+        this.rates = this.toRates(this.current, elapsed);
+        this.current = this.createWindow();
+        this.windowStart = now;
+    }
+
+    toRates(window, duration) {
+        const perSecond = value => Math.round(value * 1000 / duration);
+        const rates = {};
+        ['in', 'out'].forEach(direction => {
+            let messages = 0;
+            let bytes = 0;
+            const byType = {};
+            window[direction].forEach((counter, type) => {
+                messages += counter.messages;
+                bytes += counter.bytes;
+                byType[type] = {
+                    messagesPerSecond: perSecond(counter.messages),
+                    bytesPerSecond: perSecond(counter.bytes)
+                };
+            });
+            rates[direction] = {
+                messagesPerSecond: perSecond(messages),
+                bytesPerSecond: perSecond(bytes),
+                byType
+            };
+        });
+        return rates;
+    }
+
+    getRates(now = performance.now()) {
+        this.roll(now);
+        return this.rates;
+    }
+}
@@ -0,0 +1,162 @@
+import * as THREE from 'three';
+
+// Compact binary encoding for `position` updates.
+//
+// Client -> server frame (little endian):
+//   uint8  kind (FRAME_POSITION)
+//   uint8  controller count
+//   float64    send time, the sender's estimate of server time in ms
+//   int16  x3  body position, millimetres
+//   int16  x3  head position, millimetres
+//   uint32     head rotation, smallest-three quaternion
+//   per controller: int16 x3 position + uint32 rotation
+//
+// The server forwards frames untouched, prefixed with the sender's uint32 id.
+
+export const FRAME_POSITION = 1;
+export const SENDER_HEADER_BYTES = 4;
+
+const POSITION_SCALE = 1000; // 1mm steps, +-32.767m range
+const VECTOR_BYTES = 6;
+const ROTATION_BYTES = 4;
+const HEADER_BYTES = 2;
+const TIME_BYTES = 8;
+const MAX_CONTROLLERS = 2;
+const COMPONENT_BITS = 10;
+const COMPONENT_MAX = (1 << COMPONENT_BITS) - 1;
+const COMPONENT_STEPS = COMPONENT_MAX - 1; // Even, so zero is exactly representable
+const COMPONENT_RANGE = Math.SQRT1_2; // The three smallest components lie within +-1/sqrt(2)
+
+const tempQuaternion = new THREE.Quaternion();
+const tempEuler = new THREE.Euler();
+
+function writeVector(view, offset, vector) {
+    for (let i = 0; i < 3; i++) {
+        const value = Math.round((vector[i] || 0) * POSITION_SCALE);
+        view.setInt16(offset + i * 2, Math.max(-32768, Math.min(32767, value)), true);
+    }
+    return offset + VECTOR_BYTES;
+}
+
+function readVector(view, offset) {
+    return [
+        view.getInt16(offset, true) / POSITION_SCALE,
+        view.getInt16(offset + 2, true) / POSITION_SCALE,
+        view.getInt16(offset + 4, true) / POSITION_SCALE
+    ];
+}
+
+// Drop the largest component and store its index plus the other three in 10 bits each
+export function packQuaternion(q) {
+    const components = [q[0], q[1], q[2], q[3]];
+    const length = Math.hypot(...components) || 1;
+
+    let largest = 0;
+    for (let i = 1; i < 4; i++) {
+        if (Math.abs(components[i]) > Math.abs(components[largest])) {
+            largest = i;
+        }
+    }
+
+    // q and -q are the same rotation, so make the dropped component positive
+    const sign = components[largest] < 0 ? -1 : 1;
+    let packed = largest;
+    for (let i = 0; i < 4; i++) {
+        if (i === largest) continue;
+        const normalized = components[i] * sign / length / COMPONENT_RANGE; // -1..1
+        const quantized = Math.round((Math.max(-1, Math.min(1, normalized)) * 0.5 + 0.5) * COMPONENT_STEPS);
+        packed = packed * (1 << COMPONENT_BITS) + quantized;
+    }
+    return packed;
+}
+
+export function unpackQuaternion(packed) {
+    const components = [0, 0, 0, 0];
+    const largest = Math.floor(packed / 2 ** (COMPONENT_BITS * 3));
+
+    let sumSquares = 0;
+    for (let i = 3, shift = 0; i >= 0; i--) {
+        if (i === largest) continue;
+        const quantized = Math.floor(packed / 2 ** shift) & COMPONENT_MAX;
+        components[i] = (quantized / COMPONENT_STEPS * 2 - 1) * COMPONENT_RANGE;
+        sumSquares += components[i] * components[i];
+        shift += COMPONENT_BITS;
+    }
+    components[largest] = Math.sqrt(Math.max(0, 1 - sumSquares));
+    return components;
+}
+
+// Encode a pose as produced by Player.getNetworkUpdate()
+export function encodePose(pose) {
+    const controllers = (pose.controllers || []).slice(0, MAX_CONTROLLERS);
+    const buffer = new ArrayBuffer(
+        HEADER_BYTES + TIME_BYTES + VECTOR_BYTES * 2 + ROTATION_BYTES +
+        controllers.length * (VECTOR_BYTES + ROTATION_BYTES)
+    );
+    const view = new DataView(buffer);
+
+    view.setUint8(0, FRAME_POSITION);
+    view.setUint8(1, controllers.length);
+    view.setFloat64(HEADER_BYTES, pose.time, true);
+    let offset = HEADER_BYTES + TIME_BYTES;
+    offset = writeVector(view, offset, pose.position);
+    offset = writeVector(view, offset, pose.headPosition);
+
+    const [x, y, z] = pose.headRotation;
+    tempQuaternion.setFromEuler(tempEuler.set(x, y, z));
+    view.setUint32(offset, packQuaternion(tempQuaternion.toArray()), true);
+    offset += ROTATION_BYTES;
+
+    controllers.forEach(controller => {
+        offset = writeVector(view, offset, controller.position);
+        view.setUint32(offset, packQuaternion(controller.rotation), true);
+        offset += ROTATION_BYTES;
+    });
+
+    return buffer;
+}
+
+// Decode a relayed frame into { senderId, pose }, or null if it isn't a position frame
+export function decodePoseFrame(buffer) {
+    const view = new DataView(buffer);
+    if (view.byteLength < SENDER_HEADER_BYTES + HEADER_BYTES) return null;
+
+    const senderId = view.getUint32(0, true);
+    let offset = SENDER_HEADER_BYTES;
+    if (view.getUint8(offset) !== FRAME_POSITION) return null;
+
+    const controllerCount = Math.min(view.getUint8(offset + 1), MAX_CONTROLLERS);
+    const expectedBytes = SENDER_HEADER_BYTES + HEADER_BYTES + TIME_BYTES + VECTOR_BYTES * 2 + ROTATION_BYTES +
+        controllerCount * (VECTOR_BYTES + ROTATION_BYTES);
+    if (view.byteLength < expectedBytes) return null;
+    offset += HEADER_BYTES;
+
+    const time = view.getFloat64(offset, true);
+    offset += TIME_BYTES;
+    const position = readVector(view, offset);
+    offset += VECTOR_BYTES;
+    const headPosition = readVector(view, offset);
+    offset += VECTOR_BYTES;
+
+    // Hand back Euler angles so binary and JSON updates look the same to Player
+    tempQuaternion.fromArray(unpackQuaternion(view.getUint32(offset, true)));
+    tempEuler.setFromQuaternion(tempQuaternion);
+    const headRotation = [tempEuler.x, tempEuler.y, tempEuler.z];
+    offset += ROTATION_BYTES;
+
+    const controllers = [];
+    for (let i = 0; i < controllerCount; i++) {
+        const controllerPosition = readVector(view, offset);
+        offset += VECTOR_BYTES;
+        controllers.push({
+            position: controllerPosition,
+            rotation: unpackQuaternion(view.getUint32(offset, true))
+        });
+        offset += ROTATION_BYTES;
+    }
+
+    return {
+        senderId,
+        pose: { time, position, headPosition, headRotation, controllers }
+    };
+}
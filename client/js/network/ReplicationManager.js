@@ -0,0 +1,139 @@
+import { MESSAGE_TYPES as MSG } from '/shared/protocol.mjs';
+import { getEntityKind, canControlEntity } from '/shared/entities.mjs';
+
+// Client side of entity replication (see shared/entities.mjs). Managers register a kind
+// with serialization hooks, spawn their objects through here, and get remote spawns,
+// despawns and state updates for that kind delivered back as objects.
+//
+// Hooks for a kind:
+//   create(state, entity)      -> object   Build a remote entity's object
+//   serialize(object)          -> state    Plain JSON describing the object
+//   applyState(object, state, entity)      Optional; apply a (possibly partial) state update
+//   destroy(object, entity, reason)        Take the object out of the world
+export class ReplicationManager {
+    constructor(networkManager) {
+        this.networkManager = networkManager;
+        this.kinds = new Map(); // kind -> hooks
+        this.entities = new Map(); // id -> { id, kind, ownerId, spawnTime, object }
+        this.nextId = 1;
+
+        networkManager.onRoom(MSG.ENTITY_SPAWN, data => this.handleSpawn(data.entity));
+        networkManager.onRoom(MSG.ENTITY_DESPAWN, data => this.remove(data.id, data.reason || 'remote'));
+        networkManager.onRoom(MSG.ENTITY_STATE, data => this.handleState(data));
+    }
+
+    register(kind, hooks) {
+        this.kinds.set(kind, hooks);
+    }
+
+    get(id) {
+        return this.entities.get(id) || null;
+    }
+
+    // Ids only need to be unique within the room, so prefix a counter with our player id
+    createId() {
+        return `${this.networkManager.localPlayerId}:${this.nextId++}`;
+    }
+
+    // Whether we may update or despawn the entity: we own it, or it's host-controlled and we host
+    canControl(entity) {
+        const localId = this.networkManager.localPlayerId;
+        return canControlEntity(entity, localId, this.networkManager.isHost ? localId : null);
+    }
+
+    // Start replicating a local object; we become its owner
+    spawn(kind, object) {
+        const hooks = this.kinds.get(kind);
+        const entity = {
+            id: this.createId(),
+            kind,
+            ownerId: this.networkManager.localPlayerId,
+            spawnTime: this.networkManager.getServerTime(),
+            object
+        };
+        object.networkId = entity.id;
+        this.entities.set(entity.id, entity);
+
+        this.networkManager.sendEntitySpawn({
+            id: entity.id,
+            kind,
+            state: hooks.serialize(object)
+        });
+        return entity;
+    }
+
+    // Remove an entity and, if it's ours to control and the server tracks it, tell the room
+    despawn(id, reason) {
+        const entity = this.remove(id, reason);
+        if (entity && this.canControl(entity) && getEntityKind(entity.kind).persistent) {
+            this.networkManager.sendEntityDespawn(id, reason);
+        }
+        return entity;
+    }
+
+    // Remove an entity locally only, e.g. when it expired everywhere at once
+    remove(id, reason) {
+        const entity = this.entities.get(id);
+        if (!entity) return null;
+
+        this.entities.delete(id);
+        this.kinds.get(entity.kind).destroy(entity.object, entity, reason);
+        return entity;
+    }
+
+    // Send an entity's current state, or just the fields in `state`
+    sendState(id, state) {
+        const entity = this.entities.get(id);
+        if (!entity || !this.canControl(entity)) return;
+
+        this.networkManager.sendEntityState(id, state || this.kinds.get(entity.kind).serialize(entity.object));
+    }
+
+    handleSpawn(data) {
+        if (this.entities.has(data.id)) return;
+
+        const hooks = this.kinds.get(data.kind);
+        if (!hooks) {
+            console.debug(`[REPLICATION] No handler for entity kind ${data.kind}`);
+            return;
+        }
+
+        const entity = {
+            id: data.id,
+            kind: data.kind,
+            ownerId: data.ownerId,
+            spawnTime: data.spawnTime
+        };
+        entity.object = hooks.create(data.state, entity);
+        entity.object.networkId = entity.id;
+        this.entities.set(entity.id, entity);
+    }
+
+    handleState(data) {
+        const entity = this.entities.get(data.id);
+        if (!entity) return;
+
+        const hooks = this.kinds.get(entity.kind);
+        if (hooks.applyState) {
+            hooks.applyState(entity.object, data.state, entity);
+        }
+    }
+
+    // Match the server's persistent entities, e.g. from a join snapshot or when taking over as host
+    restore(entities = []) {
+        const liveIds = new Set(entities.map(entity => entity.id));
+        for (const entity of Array.from(this.entities.values())) {
+            if (getEntityKind(entity.kind).persistent && !liveIds.has(entity.id)) {
+                this.remove(entity.id, 'restore');
+            }
+        }
+        entities.forEach(entity => this.handleSpawn(entity));
+    }
+
+    // Drop everything, e.g. after leaving the room
+    clear() {
+        for (const id of Array.from(this.entities.keys())) {
+            this.remove(id, 'clear');
+        }
+    }
+}
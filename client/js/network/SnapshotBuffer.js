@@ -0,0 +1,163 @@
+import * as THREE from 'three';
+
+// Buffers timestamped poses of a remote player and samples them slightly in the past,
+// interpolating between the two snapshots around the render time. When packets are
+// late it extrapolates along the last known velocity for a bounded time, then holds.
+//
+// Times are on the server's clock: each pose carries the moment its sender took it, so
+// network jitter doesn't bend the timeline and late packets slot in where they belong.
+// Rendering runs `delay` behind the average transit time, which adapts to the connection.
+export class SnapshotBuffer {
+    constructor(options = {}) {
+        this.delay = options.delay ?? 100; // ms behind the newest data we render
+        this.maxExtrapolation = options.maxExtrapolation ?? 150; // ms we may run past the newest snapshot
+        this.maxSnapshots = options.maxSnapshots ?? 30;
+        this.snapshots = []; // Oldest first: { time, position, headPosition, headQuaternion, controllers }
+        this.latency = null; // Smoothed ms from a pose being taken to it arriving
+        this.latencySmoothing = options.latencySmoothing ?? 0.1;
+
+        this.tempVector = new THREE.Vector3();
+    }
+
+    get size() {
+        return this.snapshots.length;
+    }
+
+    // How far behind the sender's clock we render
+    get renderDelay() {
+        return this.delay + (this.latency || 0);
+    }
+
+    // Snapshots waiting between the render time and the newest one, a measure of buffer health
+    depthAt(time) {
+        const renderTime = time - this.renderDelay;
+        return this.snapshots.filter(snapshot => snapshot.time > renderTime).length;
+    }
+
+    clear() {
+        this.snapshots.length = 0;
+        this.latency = null;
+    }
+
+    // Store a pose in network form (arrays for vectors, Euler head rotation, quaternion controllers)
+    // taken at `time` and received at `arrivalTime`. Returns false for a stale or duplicate pose.
+    push(time, data, arrivalTime = time) {
+        const transit = Math.max(0, arrivalTime - time);
+        this.latency = this.latency === null ? transit :
+            this.latency + (transit - this.latency) * this.latencySmoothing;
+
+        // Reordered packets go in time order; anything older than what we still hold is no use
+        let index = this.snapshots.length;
+        while (index > 0 && this.snapshots[index - 1].time > time) index--;
+        const previous = this.snapshots[index - 1];
+        if (previous && previous.time === time) return false;
+        if (!previous && this.snapshots.length > 0) return false;
+
+        const snapshot = {
+            time,
+            position: previous ? previous.position.clone() : new THREE.Vector3(),
+            headPosition: previous ? previous.headPosition.clone() : new THREE.Vector3(),
+            headQuaternion: previous ? previous.headQuaternion.clone() : new THREE.Quaternion(),
+            controllers: previous ? previous.controllers.map(controller => ({
+                position: controller.position.clone(),
+                quaternion: controller.quaternion.clone()
+            })) : []
+        };
+
+        // Updates may omit parts of the pose, so carry over whatever the last snapshot had
+        if (data.position) snapshot.position.fromArray(data.position);
+        if (data.headPosition) snapshot.headPosition.fromArray(data.headPosition);
+        if (data.headRotation) {
+            snapshot.headQuaternion.setFromEuler(new THREE.Euler(
+                data.headRotation[0],
+                data.headRotation[1],
+                data.headRotation[2]
+            ));
+        }
+        if (data.controllers) {
+            data.controllers.forEach((controllerData, index) => {
+                snapshot.controllers[index] = {
+                    position: new THREE.Vector3().fromArray(controllerData.position),
+                    quaternion: new THREE.Quaternion().fromArray(controllerData.rotation)
+                };
+            });
+        }
+
+        this.snapshots.splice(index, 0, snapshot);
+        if (this.snapshots.length > this.maxSnapshots) {
+            this.snapshots.shift();
+        }
+        return true;
+    }
+
+    // Write the pose at `time - delay` into `target`; returns false if there is nothing to show
+    sample(time, target) {
+        const count = this.snapshots.length;
+        if (count === 0) return false;
+
+        const renderTime = time - this.renderDelay;
+        const newest = this.snapshots[count - 1];
+
+        // Drop snapshots we will never interpolate from again, keeping one before the render time
+        while (this.snapshots.length > 2 && this.snapshots[1].time <= renderTime) {
+            this.snapshots.shift();
+        }
+
+        const [from, to] = this.snapshots;
+        if (!to || renderTime <= from.time) {
+            this.copy(from, target);
+            return true;
+        }
+
+        if (renderTime <= to.time) {
+            this.interpolate(from, to, (renderTime - from.time) / (to.time - from.time), target);
+            return true;
+        }
+
+        // Ran out of data: keep moving along the last velocity for a little while
+        const previous = this.snapshots[this.snapshots.length - 2] || newest;
+        this.copy(newest, target);
+        const span = newest.time - previous.time;
+        if (span > 0) {
+            const ahead = Math.min(renderTime - newest.time, this.maxExtrapolation) / span;
+            this.extrapolate(previous.position, newest.position, ahead, target.position);
+            this.extrapolate(previous.headPosition, newest.headPosition, ahead, target.headPosition);
+            newest.controllers.forEach((controller, index) => {
+                const before = previous.controllers[index];
+                if (before && target.controllers[index]) {
+                    this.extrapolate(before.position, controller.position, ahead, target.controllers[index].position);
+                }
+            });
+        }
+        return true;
+    }
+
+    extrapolate(from, to, ahead, out) {
+        out.add(this.tempVector.subVectors(to, from).multiplyScalar(ahead));
+    }
+
+    copy(snapshot, target) {
+        target.position.copy(snapshot.position);
+        target.headPosition.copy(snapshot.headPosition);
+        target.headQuaternion.copy(snapshot.headQuaternion);
+        snapshot.controllers.forEach((controller, index) => {
+            if (target.controllers[index]) {
+                target.controllers[index].position.copy(controller.position);
+                target.controllers[index].quaternion.copy(controller.quaternion);
+            }
+        });
+    }
+
+    interpolate(from, to, alpha, target) {
+        target.position.lerpVectors(from.position, to.position, alpha);
+        target.headPosition.lerpVectors(from.headPosition, to.headPosition, alpha);
+        target.headQuaternion.slerpQuaternions(from.headQuaternion, to.headQuaternion, alpha);
+        to.controllers.forEach((controller, index) => {
+            const start = from.controllers[index] || controller;
+            if (target.controllers[index]) {
+                target.controllers[index].position.lerpVectors(start.position, controller.position, alpha);
+                target.controllers[index].quaternion.slerpQuaternions(start.quaternion, controller.quaternion, alpha);
+            }
+        });
+    }
+}
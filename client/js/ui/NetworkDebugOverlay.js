@@ -0,0 +1,170 @@
+import { hasConditions } from '/shared/networkConditions.mjs';
+
+const FIELDS = [
+    { key: 'latency', label: 'Latency (ms)', scale: 1 },
+    { key: 'jitter', label: 'Jitter (ms)', scale: 1 },
+    { key: 'loss', label: 'Loss (%)', scale: 100 },
+    { key: 'reorder', label: 'Reorder (%)', scale: 100 }
+];
+
+// Developer panel for the network simulator. Toggle with the backquote key; it opens on
+// its own when the page was loaded with ?netDebug or any simulated conditions.
+export class NetworkDebugOverlay {
+    constructor(engine) {
+        this.engine = engine;
+        this.inputs = {};
+        this.refreshInterval = 500; // ms
+        this.refreshTimer = null;
+
+        this.createPanel();
+        window.addEventListener('keydown', (event) => {
+            if (event.target instanceof HTMLInputElement || event.target instanceof HTMLTextAreaElement) return;
+            if (event.code === 'Backquote') {
+                this.toggle();
+            }
+        });
+
+        const params = new URLSearchParams(window.location.search);
+        if (params.has('netDebug') || hasConditions(this.engine.networkManager.netConditions)) {
+            this.show();
+        }
+    }
+
+    createPanel() {
+        this.container = document.createElement('div');
+        this.container.style.position = 'absolute';
+        this.container.style.bottom = '20px';
+        this.container.style.left = '20px';
+        this.container.style.zIndex = '1000';
+        this.container.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+        this.container.style.color = 'white';
+        this.container.style.font = '12px monospace';
+        this.container.style.padding = '10px';
+        this.container.style.borderRadius = '10px';
+        this.container.style.display = 'none';
+
+        const title = document.createElement('div');
+        title.textContent = 'Network simulator';
+        title.style.fontWeight = 'bold';
+        title.style.marginBottom = '6px';
+        this.container.appendChild(title);
+
+        FIELDS.forEach(field => {
+            const row = document.createElement('label');
+            row.style.display = 'block';
+            row.style.marginBottom = '4px';
+            row.textContent = field.label;
+
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.min = '0';
+            input.style.width = '60px';
+            input.style.marginLeft = '8px';
+            row.appendChild(input);
+
+            this.inputs[field.key] = input;
+            this.container.appendChild(row);
+        });
+
+        const roomRow = document.createElement('label');
+        roomRow.style.display = 'block';
+        roomRow.style.marginBottom = '6px';
+        this.roomInput = document.createElement('input');
+        this.roomInput.type = 'checkbox';
+        roomRow.appendChild(this.roomInput);
+        roomRow.appendChild(document.createTextNode(' Also apply to the room (server)'));
+        this.container.appendChild(roomRow);
+
+        const applyButton = document.createElement('button');
+        applyButton.textContent = 'Apply';
+        applyButton.addEventListener('click', () => this.apply());
+        this.container.appendChild(applyButton);
+
+        const resetButton = document.createElement('button');
+        resetButton.textContent = 'Off';
+        resetButton.style.marginLeft = '4px';
+        resetButton.addEventListener('click', () => this.reset());
+        this.container.appendChild(resetButton);
+
+        this.status = document.createElement('pre');
+        this.status.style.margin = '6px 0 0';
+        this.container.appendChild(this.status);
+
+        document.body.appendChild(this.container);
+    }
+
+    get visible() {
+        return this.container.style.display !== 'none';
+    }
+
+    show() {
+        this.fillInputs();
+        this.container.style.display = 'block';
+        this.refresh();
+        this.refreshTimer = setInterval(() => this.refresh(), this.refreshInterval);
+    }
+
+    hide() {
+        this.container.style.display = 'none';
+        clearInterval(this.refreshTimer);
+        this.refreshTimer = null;
+    }
+
+    toggle() {
+        if (this.visible) {
+            this.hide();
+        } else {
+            this.show();
+        }
+    }
+
+    fillInputs() {
+        const conditions = this.engine.networkManager.netConditions;
+        FIELDS.forEach(field => {
+            this.inputs[field.key].value = Math.round(conditions[field.key] * field.scale);
+        });
+    }
+
+    readInputs() {
+        const conditions = {};
+        FIELDS.forEach(field => {
+            conditions[field.key] = (Number(this.inputs[field.key].value) || 0) / field.scale;
+        });
+        return conditions;
+    }
+
+    apply() {
+        const networkManager = this.engine.networkManager;
+        const conditions = this.readInputs();
+        networkManager.setNetConditions(conditions);
+        if (this.roomInput.checked) {
+            networkManager.sendNetConditions(conditions);
+        }
+        this.fillInputs();
+    }
+
+    reset() {
+        FIELDS.forEach(field => {
+            this.inputs[field.key].value = 0;
+        });
+        this.apply();
+    }
+
+    describe(conditions) {
+        if (!conditions || !hasConditions(conditions)) return 'off';
+        return `${conditions.latency}ms ±${conditions.jitter}ms, ` +
+            `${Math.round(conditions.loss * 100)}% loss, ${Math.round(conditions.reorder * 100)}% reorder`;
+    }
+
+    refresh() {
+        const networkManager = this.engine.networkManager;
+        const outbound = networkManager.outboundLink.stats;
+        const inbound = networkManager.inboundLink.stats;
+        this.status.textContent = [
+            `Local: ${this.describe(networkManager.netConditions)}`,
+            `Room:  ${this.describe(networkManager.roomNetConditions)}`,
+            `Out: ${outbound.dropped} dropped, ${outbound.reordered} reordered`,
+            `In:  ${inbound.dropped} dropped, ${inbound.reordered} reordered`
+        ].join('\n');
+    }
+}
@@ -0,0 +1,168 @@
+import * as THREE from 'three';
+
+const CANVAS_SIZE = 512;
+const LINE_HEIGHT = 26;
+
+function formatBytes(bytesPerSecond) {
+    return bytesPerSecond >= 1024 ?
+        `${(bytesPerSecond / 1024).toFixed(1)} KB/s` :
+        `${bytesPerSecond} B/s`;
+}
+
+// Connection quality readout from NetworkManager.getStats(): a DOM panel on desktop and a
+// small panel in front of the camera in VR. Toggle with N, the left controller's Y button,
+// or open it on load with ?netStats.
+export class NetworkStatsHUD {
+    constructor(engine) {
+        this.engine = engine;
+        this.visible = false;
+        this.refreshInterval = 500; // ms
+        this.refreshTimer = null;
+
+        this.createDomPanel();
+        this.createVRPanel();
+
+        window.addEventListener('keydown', (event) => {
+            // Typing an N into a room code or other text field shouldn't toggle the HUD
+            if (event.target instanceof HTMLInputElement || event.target instanceof HTMLTextAreaElement) return;
+            if (event.code === 'KeyN') {
+                this.toggle();
+            }
+        });
+
+        if (new URLSearchParams(window.location.search).has('netStats')) {
+            this.show();
+        }
+    }
+
+    createDomPanel() {
+        this.container = document.createElement('pre');
+        this.container.style.position = 'absolute';
+        this.container.style.top = '20px';
+        this.container.style.left = '20px';
+        this.container.style.zIndex = '1000';
+        this.container.style.margin = '0';
+        this.container.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+        this.container.style.color = '#ccffff';
+        this.container.style.font = '12px monospace';
+        this.container.style.padding = '10px';
+        this.container.style.borderRadius = '10px';
+        this.container.style.pointerEvents = 'none';
+        this.container.style.display = 'none';
+        document.body.appendChild(this.container);
+    }
+
+    // Head-locked, down and to the left so it stays readable without covering the targets
+    createVRPanel() {
+        const canvas = document.createElement('canvas');
+        canvas.width = CANVAS_SIZE;
+        canvas.height = CANVAS_SIZE;
+
+        const texture = new THREE.CanvasTexture(canvas);
+        const material = new THREE.MeshBasicMaterial({
+            map: texture,
+            transparent: true,
+            depthTest: false
+        });
+
+        const mesh = new THREE.Mesh(new THREE.PlaneGeometry(0.3, 0.3), material);
+        mesh.position.set(-0.25, -0.15, -0.7);
+        mesh.renderOrder = 999; // Draw over the scene
+        mesh.visible = false;
+        this.engine.camera.add(mesh);
+
+        this.vrPanel = {
+            mesh: mesh,
+            texture: texture,
+            context: canvas.getContext('2d')
+        };
+    }
+
+    show() {
+        this.visible = true;
+        this.refresh();
+        clearInterval(this.refreshTimer);
+        this.refreshTimer = setInterval(() => this.refresh(), this.refreshInterval);
+    }
+
+    hide() {
+        this.visible = false;
+        clearInterval(this.refreshTimer);
+        this.refreshTimer = null;
+        this.container.style.display = 'none';
+        this.vrPanel.mesh.visible = false;
+    }
+
+    toggle() {
+        if (this.visible) {
+            this.hide();
+        } else {
+            this.show();
+        }
+    }
+
+    formatLines(stats) {
+        const lines = [
+            `NET ${stats.connected ? 'connected' : 'offline'}${stats.roomCode ? `  room ${stats.roomCode}` : ''}`,
+            `RTT ${Math.round(stats.rtt)}ms  jitter ${Math.round(stats.jitter)}ms`
+        ];
+
+        ['in', 'out'].forEach(direction => {
+            const traffic = stats.traffic[direction];
+            lines.push(`${direction.toUpperCase().padEnd(3)} ${traffic.messagesPerSecond} msg/s  ${formatBytes(traffic.bytesPerSecond)}`);
+        });
+
+        // Busiest message types first, in and out side by side
+        const types = new Set([...Object.keys(stats.traffic.in.byType), ...Object.keys(stats.traffic.out.byType)]);
+        const byType = Array.from(types, type => ({
+            type,
+            in: stats.traffic.in.byType[type]?.bytesPerSecond || 0,
+            out: stats.traffic.out.byType[type]?.bytesPerSecond || 0
+        })).sort((a, b) => (b.in + b.out) - (a.in + a.out));
+        byType.forEach(entry => {
+            lines.push(`  ${entry.type.slice(0, 14).padEnd(14)} in ${formatBytes(entry.in).padStart(9)}  out ${formatBytes(entry.out).padStart(9)}`);
+        });
+
+        if (stats.players.length > 0) {
+            lines.push(`BUFFERS (${stats.players[0].bufferDelay}ms behind)`);
+            stats.players.forEach(player => {
+                lines.push(`  P${player.id}  depth ${player.bufferDepth}  held ${player.bufferSize}`);
+            });
+        }
+
+        const unknown = Object.entries(stats.unknownMessages);
+        if (unknown.length > 0) {
+            lines.push(`UNKNOWN ${unknown.map(([type, count]) => `${type} x${count}`).join(', ')}`);
+        }
+        return lines;
+    }
+
+    refresh() {
+        const lines = this.formatLines(this.engine.networkManager.getStats());
+        const inVR = this.engine.renderer.xr.isPresenting;
+
+        this.container.style.display = inVR ? 'none' : 'block';
+        this.container.textContent = lines.join('\n');
+
+        this.vrPanel.mesh.visible = inVR;
+        if (inVR) {
+            this.drawVRPanel(lines);
+        }
+    }
+
+    drawVRPanel(lines) {
+        const context = this.vrPanel.context;
+        context.clearRect(0, 0, CANVAS_SIZE, CANVAS_SIZE);
+        context.fillStyle = 'rgba(15, 15, 25, 0.8)';
+        context.fillRect(0, 0, CANVAS_SIZE, CANVAS_SIZE);
+
+        context.font = '20px monospace';
+        context.fillStyle = '#ccffff';
+        context.textAlign = 'left';
+        context.textBaseline = 'top';
+        lines.slice(0, Math.floor((CANVAS_SIZE - 20) / LINE_HEIGHT)).forEach((line, index) => {
+            context.fillText(line, 10, 10 + index * LINE_HEIGHT);
+        });
+        this.vrPanel.texture.needsUpdate = true;
+    }
+}
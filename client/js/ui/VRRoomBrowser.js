@@ -0,0 +1,155 @@
+import * as THREE from 'three';
+
+export class VRRoomBrowser {
+    constructor(engine, sessionManager) {
+        this.engine = engine;
+        this.sessionManager = sessionManager;
+        this.group = new THREE.Group();
+        this.rooms = [];
+        this.rows = []; // { mesh, roomCode }
+        this.maxRows = 5;
+        this.lastTriggerState = [false, false];
+        this.raycaster = new THREE.Raycaster();
+        this.tempMatrix = new THREE.Matrix4();
+
+        this.createPanel();
+    }
+
+    createPanel() {
+        // Float the browser in front of the spawn point, facing the player
+        this.group.position.set(0, 1.5, 1.9);
+
+        const background = new THREE.Mesh(
+            new THREE.PlaneGeometry(1.6, 1.4),
+            new THREE.MeshBasicMaterial({
+                color: 0x19192a,
+                transparent: true,
+                opacity: 0.9,
+                side: THREE.DoubleSide
+            })
+        );
+        background.position.z = -0.01;
+        this.group.add(background);
+
+        this.title = this.createTextMesh('ROOMS', 1.4, 0.2, 'bold 72px Arial', '#ffffff');
+        this.title.position.set(0, 0.55, 0);
+        this.group.add(this.title);
+
+        // Refresh button, styled like the VR start button
+        this.refreshButton = new THREE.Mesh(
+            new THREE.BoxGeometry(0.5, 0.15, 0.04),
+            new THREE.MeshPhongMaterial({ color: 0x22cc22, transparent: true, opacity: 0.9 })
+        );
+        this.refreshButton.position.set(0, -0.55, 0.02);
+        const refreshLabel = this.createTextMesh('REFRESH', 0.45, 0.12, 'bold 64px Arial', '#ffffff');
+        refreshLabel.position.z = 0.021;
+        this.refreshButton.add(refreshLabel);
+        this.group.add(this.refreshButton);
+
+        for (let i = 0; i < this.maxRows; i++) {
+            const row = this.createTextMesh('', 1.4, 0.16, '40px Arial', '#ccffff', 'rgba(64, 153, 255, 0.15)');
+            row.position.set(0, 0.33 - i * 0.18, 0);
+            row.visible = false;
+            this.group.add(row);
+            this.rows.push({ mesh: row, roomCode: null });
+        }
+
+        this.emptyLabel = this.createTextMesh('No open rooms', 1.4, 0.16, 'italic 40px Arial', '#888888');
+        this.emptyLabel.position.set(0, 0.33, 0);
+        this.group.add(this.emptyLabel);
+
+        this.engine.scene.add(this.group);
+    }
+
+    createTextMesh(text, width, height, font, color, background = null) {
+        const canvas = document.createElement('canvas');
+        canvas.width = 1024;
+        canvas.height = Math.round(1024 * height / width);
+
+        const texture = new THREE.CanvasTexture(canvas);
+        const mesh = new THREE.Mesh(
+            new THREE.PlaneGeometry(width, height),
+            new THREE.MeshBasicMaterial({ map: texture, transparent: true, side: THREE.DoubleSide })
+        );
+        mesh.userData = { canvas, texture, font, color, background };
+        this.drawText(mesh, text);
+        return mesh;
+    }
+
+    drawText(mesh, text) {
+        const { canvas, texture, font, color, background } = mesh.userData;
+        const context = canvas.getContext('2d');
+        context.clearRect(0, 0, canvas.width, canvas.height);
+
+        if (background) {
+            context.fillStyle = background;
+            context.fillRect(0, 0, canvas.width, canvas.height);
+        }
+
+        context.fillStyle = color;
+        context.font = font;
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.fillText(text, canvas.width / 2, canvas.height / 2);
+        texture.needsUpdate = true;
+    }
+
+    setRooms(rooms) {
+        this.rooms = rooms;
+        this.rows.forEach((row, index) => {
+            const room = rooms[index];
+            row.roomCode = room ? room.code : null;
+            row.mesh.visible = Boolean(room);
+            if (room) {
+                this.drawText(row.mesh, this.sessionManager.describeRoom(room));
+            }
+        });
+        this.emptyLabel.visible = rooms.length === 0;
+    }
+
+    setVisible(visible) {
+        this.group.visible = visible;
+    }
+
+    update() {
+        if (!this.group.visible) return;
+
+        const session = this.engine.renderer.xr.getSession();
+        if (!session) return;
+
+        const controllers = this.engine.inputManager.controllers;
+        const targets = [this.refreshButton, ...this.rows.filter(row => row.mesh.visible).map(row => row.mesh)];
+
+        controllers.forEach((controller, i) => {
+            const inputSource = session.inputSources[i];
+            const gamepad = inputSource && inputSource.gamepad;
+            if (!gamepad) return;
+
+            this.tempMatrix.identity().extractRotation(controller.matrixWorld);
+            this.raycaster.ray.origin.setFromMatrixPosition(controller.matrixWorld);
+            this.raycaster.ray.direction.set(0, 0, -1).applyMatrix4(this.tempMatrix);
+
+            const intersects = this.raycaster.intersectObjects(targets, false);
+            const pressed = Boolean(gamepad.buttons[0] && gamepad.buttons[0].pressed);
+            const justPressed = pressed && !this.lastTriggerState[i];
+            this.lastTriggerState[i] = pressed;
+
+            if (!justPressed || intersects.length === 0) return;
+
+            const target = intersects[0].object;
+            if (gamepad.hapticActuators && gamepad.hapticActuators[0]) {
+                gamepad.hapticActuators[0].pulse(0.5, 50);
+            }
+
+            if (target === this.refreshButton) {
+                this.sessionManager.refreshRoomList();
+                return;
+            }
+
+            const row = this.rows.find(candidate => candidate.mesh === target);
+            if (row && row.roomCode) {
+                this.sessionManager.joinSession(row.roomCode);
+            }
+        });
+    }
+}
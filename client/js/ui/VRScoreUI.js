@@ -9,7 +9,13 @@ export class VRScoreUI {
         this.font = null;
         this.textMeshes = new Map(); // playerId -> { text: mesh, outline: mesh }
         this.timerMesh = null;
+        this.lastTimerText = null;
+        this.waveBanner = null;
+        this.lastBannerText = null;
         this.startButton = null;
+        this.leaderboardMesh = null;
+        this.leaderboard = null; // Latest /api/leaderboard response
+        this.leaderboardVisible = true;
         this.loadFont();
     }
 
@@ -170,9 +176,15 @@ export class VRScoreUI {
         // Create timer display
         this.createTimerDisplay();
 
+        // Create wave banner above the panel
+        this.createWaveBanner();
+
         // Create start button
         this.createStartButton();
 
+        // Create high score board beside the main panel
+        this.createLeaderboardPanel();
+
         // Add to scene
         this.engine.scene.add(this.scoreGroup);
         
@@ -232,6 +244,144 @@ export class VRScoreUI {
         };
     }
 
+    createWaveBanner() {
+        const canvas = document.createElement('canvas');
+        canvas.width = 1024;
+        canvas.height = 256;
+
+        const texture = new THREE.CanvasTexture(canvas);
+        const material = new THREE.MeshBasicMaterial({
+            map: texture,
+            transparent: true,
+            side: THREE.DoubleSide
+        });
+
+        const mesh = new THREE.Mesh(new THREE.PlaneGeometry(4, 1), material);
+        mesh.position.set(0, 3.7, 0.01); // Just above the main panel
+        mesh.visible = false;
+        this.scoreGroup.add(mesh);
+
+        this.waveBanner = {
+            mesh: mesh,
+            texture: texture,
+            context: canvas.getContext('2d')
+        };
+    }
+
+    // Announce the next wave during each intermission
+    updateWaveBanner() {
+        if (!this.waveBanner) return;
+
+        const status = this.engine.waveManager.status;
+        const lines = status && status.intermission ? [
+            `WAVE ${status.index + 1}: ${status.wave.name}`,
+            `Starts in ${Math.ceil(status.endsIn / 1000)}`
+        ] : null;
+        const text = lines ? lines.join('\n') : null;
+        if (text === this.lastBannerText) return;
+        this.lastBannerText = text;
+
+        this.waveBanner.mesh.visible = Boolean(lines);
+        if (!lines) return;
+
+        const context = this.waveBanner.context;
+        const { width, height } = context.canvas;
+        context.clearRect(0, 0, width, height);
+        context.fillStyle = 'rgba(15, 15, 25, 0.9)';
+        context.fillRect(0, 0, width, height);
+
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.fillStyle = '#00ffff';
+        context.font = 'bold 80px Arial';
+        context.fillText(lines[0], width / 2, height * 0.38);
+        context.fillStyle = '#ccffff';
+        context.font = '52px Arial';
+        context.fillText(lines[1], width / 2, height * 0.78);
+
+        this.waveBanner.texture.needsUpdate = true;
+    }
+
+    createLeaderboardPanel() {
+        const canvas = document.createElement('canvas');
+        canvas.width = 512;
+        canvas.height = 768;
+
+        const texture = new THREE.CanvasTexture(canvas);
+        const material = new THREE.MeshBasicMaterial({
+            map: texture,
+            transparent: true,
+            side: THREE.DoubleSide
+        });
+
+        const mesh = new THREE.Mesh(new THREE.PlaneGeometry(3, 4.5), material);
+        mesh.position.set(4, 0, 0); // Further along the wall, right of the main panel
+        mesh.visible = this.leaderboardVisible;
+        this.scoreGroup.add(mesh);
+
+        this.leaderboardMesh = {
+            mesh: mesh,
+            texture: texture,
+            context: canvas.getContext('2d')
+        };
+        this.drawLeaderboard();
+    }
+
+    setLeaderboard(leaderboard) {
+        this.leaderboard = leaderboard;
+        this.drawLeaderboard();
+    }
+
+    setLeaderboardVisible(visible) {
+        this.leaderboardVisible = visible;
+        if (this.leaderboardMesh) {
+            this.leaderboardMesh.mesh.visible = visible;
+        }
+    }
+
+    drawLeaderboard() {
+        if (!this.leaderboardMesh) return;
+
+        const context = this.leaderboardMesh.context;
+        const { width, height } = context.canvas;
+        context.clearRect(0, 0, width, height);
+        context.fillStyle = 'rgba(15, 15, 25, 0.9)';
+        context.fillRect(0, 0, width, height);
+
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.fillStyle = '#ffffff';
+        context.font = 'bold 48px Arial';
+        context.fillText('HIGH SCORES', width / 2, 50);
+
+        const sections = [
+            { title: 'TODAY', entries: this.leaderboard ? this.leaderboard.daily : [] },
+            { title: 'ALL TIME', entries: this.leaderboard ? this.leaderboard.allTime : [] }
+        ];
+
+        let y = 120;
+        sections.forEach(section => {
+            context.fillStyle = '#4099ff';
+            context.font = 'bold 36px Arial';
+            context.fillText(section.title, width / 2, y);
+            y += 50;
+
+            context.font = '30px Arial';
+            context.fillStyle = '#ccffff';
+            if (section.entries.length === 0) {
+                context.fillText('No scores yet', width / 2, y);
+                y += 40;
+            }
+            section.entries.slice(0, 5).forEach((entry, index) => {
+                context.fillText(`${index + 1}. ${entry.name}: ${entry.score}`, width / 2, y);
+                y += 40;
+            });
+            y += 30;
+        });
+
+        this.leaderboardMesh.texture.needsUpdate = true;
+    }
+
     createStartButton() {
         // Create button geometry with more depth for better ray intersection
         const geometry = new THREE.BoxGeometry(1.2, 0.6, 0.2);
@@ -400,17 +550,9 @@ export class VRScoreUI {
     }
 
     updateTimer() {
-        if (!this.timerMesh || !this.engine.uiManager.gameStarted) return;
-        
-        const currentTime = Date.now();
-        const elapsedTime = currentTime - this.engine.uiManager.gameStartTime;
-        const remainingTime = Math.max(0, this.engine.uiManager.gameDuration - elapsedTime);
-        
-        // Convert to seconds and format
-        const seconds = Math.ceil(remainingTime / 1000);
-        const minutes = Math.floor(seconds / 60);
-        const remainingSeconds = seconds % 60;
-        const timeText = `${minutes}:${remainingSeconds.toString().padStart(2, '0')}`;
+        const timeText = this.engine.uiManager.timerText;
+        if (!this.timerMesh || timeText === this.lastTimerText) return;
+        this.lastTimerText = timeText;
         
         // Update canvas
         const context = this.timerMesh.context;
@@ -440,9 +582,16 @@ export class VRScoreUI {
 
     update() {
         this.updateTimer();
+        this.updateWaveBanner();
+
+        // Only the host can start a match, so only they get the button
+        const canStart = this.engine.networkManager.isHost;
+        if (this.startButton) {
+            this.startButton.visible = canStart;
+        }
 
         // Check for start button interaction
-        if (this.startButton && !this.engine.uiManager.gameStarted) {
+        if (this.startButton && canStart && this.engine.uiManager.matchPhase === 'lobby') {
             const session = this.engine.renderer.xr.getSession();
             
             if (session) {
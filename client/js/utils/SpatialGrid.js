@@ -0,0 +1,60 @@
+// Uniform grid for cheap "what's near here" queries. Items go in the cell holding their
+// position; a box query returns every item in the cells it overlaps, so callers pad the
+// box by the largest item radius and still do their own exact test.
+export class SpatialGrid {
+    constructor(cellSize = 1) {
+        this.cellSize = cellSize;
+        this.cells = new Map(); // "x,y,z" -> { x, y, z, items }
+    }
+
+    cellOf(value) {
+        return Math.floor(value / this.cellSize);
+    }
+
+    clear() {
+        this.cells.clear();
+    }
+
+    insert(item, position) {
+        const x = this.cellOf(position.x);
+        const y = this.cellOf(position.y);
+        const z = this.cellOf(position.z);
+        const key = `${x},${y},${z}`;
+        let cell = this.cells.get(key);
+        if (!cell) {
+            cell = { x, y, z, items: [] };
+            this.cells.set(key, cell);
+        }
+        cell.items.push(item);
+    }
+
+    // Items in cells overlapping the box from `min` to `max`
+    query(min, max) {
+        const from = { x: this.cellOf(min.x), y: this.cellOf(min.y), z: this.cellOf(min.z) };
+        const to = { x: this.cellOf(max.x), y: this.cellOf(max.y), z: this.cellOf(max.z) };
+        const items = [];
+
+        // A huge box (e.g. a bullet's path after a long frame) is cheaper to check cell by occupied cell
+        const volume = (to.x - from.x + 1) * (to.y - from.y + 1) * (to.z - from.z + 1);
+        if (volume > this.cells.size) {
+            for (const cell of this.cells.values()) {
+                if (cell.x >= from.x && cell.x <= to.x &&
+                    cell.y >= from.y && cell.y <= to.y &&
+                    cell.z >= from.z && cell.z <= to.z) {
+                    items.push(...cell.items);
+                }
+            }
+            return items;
+        }
+
+        for (let x = from.x; x <= to.x; x++) {
+            for (let y = from.y; y <= to.y; y++) {
+                for (let z = from.z; z <= to.z; z++) {
+                    const cell = this.cells.get(`${x},${y},${z}`);
+                    if (cell) items.push(...cell.items);
+                }
+            }
+        }
+        return items;
+    }
+}
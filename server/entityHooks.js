@@ -0,0 +1,56 @@
+// Server-side game rules for replicated entity kinds (see shared/entities.mjs).
+// Kinds without hooks are stored and relayed untouched.
+//
+// spawn(room, entity, now) and update(room, entity, changes, now) return false to reject the
+// entity or the state change; despawn(room, entity) keeps the authoritative game state in step.
+
+const Match = require('./match');
+
+// What a bird is and where it flies is fixed at spawn, and its health is the server's to change
+const FIXED_BIRD_FIELDS = ['seed', 'flockSize', 'index', 'type', 'wave', 'startTime', 'health'];
+
+const HOOKS = {
+    bird: {
+        // Birds exist only during a match, belong to the wave being played and are one of its
+        // species; the game state flies them for hit detection
+        spawn(room, entity, now) {
+            const index = room.match.currentWave(now);
+            if (index === null || entity.state.wave !== index) return false;
+            const wave = Match.WAVES[index];
+            if (!Object.prototype.hasOwnProperty.call(wave.composition, entity.state.type) ||
+                !(wave.composition[entity.state.type] > 0)) {
+                return false;
+            }
+
+            const bird = room.game.addBird({ id: entity.id, ...entity.state }, now, wave.speed);
+            if (!bird) return false;
+            // Everyone else flies the flock from the server's start time
+            entity.state.startTime = bird.flock.startTime;
+            return true;
+        },
+        update(room, entity, changes) {
+            return !FIXED_BIRD_FIELDS.some(field => Object.prototype.hasOwnProperty.call(changes, field));
+        },
+        despawn(room, entity) {
+            room.game.removeBird(entity.id);
+        }
+    },
+
+    bullet: {
+        // The shooter is always the entity's owner, whatever the state claims, and can only
+        // fire the gun their 'weapon' entity says they're holding
+        spawn(room, entity, now) {
+            const loadout = Array.from(room.entities.values())
+                .find(other => other.kind === 'weapon' && other.ownerId === entity.ownerId);
+            if (loadout && loadout.state.type !== entity.state.weapon) return false;
+
+            return Boolean(room.game.addBullet({ id: entity.id, ...entity.state }, entity.ownerId, now));
+        }
+    }
+};
+
+function getEntityHooks(kind) {
+    return Object.prototype.hasOwnProperty.call(HOOKS, kind) ? HOOKS[kind] : {};
+}
+
+module.exports = getEntityHooks;
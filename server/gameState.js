@@ -0,0 +1,334 @@
+// Authoritative bird, bullet and score state for a single room.
+// Clients only report what they spawn; the server decides every hit.
+
+// Lag compensation: shots are judged against where birds were when the shooter fired,
+// but never more than MAX_REWIND ms ago so a laggy client can't shoot far into the past
+const MAX_REWIND = Number(process.env.MAX_REWIND_MS || 250);
+const SWEEP_STEP = 1000 / 60; // Longest slice of a bullet's path tested against one bird pose
+
+// Shots closer together than a weapon's fireInterval by more than this are refused. It covers
+// clock sync corrections and shot times pulled forward by the rewind limit.
+const FIRE_INTERVAL_SLACK = 100;
+
+function isVector3(value) {
+    return Array.isArray(value) &&
+        value.length === 3 &&
+        value.every(component => Number.isFinite(component));
+}
+
+// Distance along the segment (0..1) at which it first touches the sphere, or null
+function segmentSphereIntersection(start, end, center, radius) {
+    const d = [end[0] - start[0], end[1] - start[1], end[2] - start[2]];
+    const f = [start[0] - center[0], start[1] - center[1], start[2] - center[2]];
+
+    const a = d[0] * d[0] + d[1] * d[1] + d[2] * d[2];
+    const b = 2 * (f[0] * d[0] + f[1] * d[1] + f[2] * d[2]);
+    const c = f[0] * f[0] + f[1] * f[1] + f[2] * f[2] - radius * radius;
+
+    // Segment starts inside the sphere
+    if (c <= 0) return 0;
+    if (a === 0) return null;
+
+    const discriminant = b * b - 4 * a * c;
+    if (discriminant < 0) return null;
+
+    const t = (-b - Math.sqrt(discriminant)) / (2 * a);
+    return t >= 0 && t <= 1 ? t : null;
+}
+
+class GameState {
+    // `shared` carries what the rules need from the ES modules in shared/, which server.js
+    // loads at startup: Flock and isFlockMember (flocking), getBirdType and isBirdType
+    // (birdTypes), isWeaponType, getWeaponType, getShotFlight and getShotDamage (weapons)
+    // and projectilePositionAt (ballistics)
+    constructor(shared) {
+        this.shared = shared;
+        this.birds = new Map(); // birdId -> { id, type, health, hitRadius, points, flock, index, position, spawnTime, history }
+        this.flocks = new Map(); // seed -> Flock flown by that seed's birds
+        this.bullets = new Map(); // bulletId -> { id, shooterId, origin, direction, flight, damage, spawnTime, lastTime }
+        this.scores = new Map(); // playerId -> score
+        this.magazines = new Map(); // "playerId:hand" -> { type, ammo, lastShotTime, lastBlast, pellets }
+    }
+
+    // Birds fly as members of a seeded flock, the same path the clients simulate; `speedScale`
+    // is the current wave's multiplier on the species' speed
+    addBird(data, now, speedScale = 1) {
+        if (!data || typeof data.id !== 'string' ||
+            !this.shared.isFlockMember(data) || !this.shared.isBirdType(data.type)) {
+            return null;
+        }
+
+        const type = this.shared.getBirdType(data.type);
+        const speed = type.speed * speedScale;
+        let flock = this.flocks.get(data.seed);
+        if (!flock) {
+            // The host's clock can only be so far off; never start a flight in the future
+            const startTime = Number.isFinite(data.startTime) ?
+                Math.min(now, Math.max(now - this.shared.BIRD_LIFESPAN, data.startTime)) : now;
+            flock = new this.shared.Flock(data.seed, data.flockSize, startTime, { speed });
+            this.flocks.set(data.seed, flock);
+        } else if (flock.size !== data.flockSize || flock.speed !== speed) {
+            return null;
+        }
+        flock.advanceTo(now);
+
+        const bird = {
+            id: data.id,
+            type: data.type,
+            health: type.health,
+            hitRadius: type.hitRadius,
+            points: type.points,
+            flock,
+            index: data.index,
+            position: flock.positionAt(data.index, now),
+            spawnTime: now,
+            history: [] // Recent { time, position } samples, oldest first
+        };
+        bird.history.push({ time: now, position: bird.position.slice() });
+        this.birds.set(bird.id, bird);
+        return bird;
+    }
+
+    removeBird(id) {
+        const bird = this.birds.get(id);
+        if (!bird) return false;
+
+        this.birds.delete(id);
+        // Drop the flock with its last bird
+        if (!Array.from(this.birds.values()).some(other => other.flock === bird.flock)) {
+            this.flocks.delete(bird.flock.seed);
+        }
+        return true;
+    }
+
+    addBullet(data, shooterId, now) {
+        if (!data || typeof data.id !== 'string' ||
+            !isVector3(data.position) || !isVector3(data.direction)) {
+            return null;
+        }
+
+        const [x, y, z] = data.direction;
+        const length = Math.sqrt(x * x + y * y + z * z);
+        if (length === 0) return null;
+
+        // Flight and damage follow from the weapon and how far a bow was drawn, not the client's say-so
+        if (!this.shared.isWeaponType(data.weapon)) return null;
+        const weapon = this.shared.getWeaponType(data.weapon);
+
+        // Start the bullet when the shooter fired it (in server time), within the rewind window
+        const shotTime = Number.isFinite(data.shotTime) ?
+            Math.min(now, Math.max(now - MAX_REWIND, data.shotTime)) : now;
+        // Pellets of one blast are told apart by the shot time the client sent: they reach us at
+        // different moments, so their clamped times can differ
+        const blast = Number.isFinite(data.shotTime) ? data.shotTime : shotTime;
+        if (!this.takeShot(shooterId, data.hand === 1 ? 1 : 0, data.weapon, weapon, shotTime, blast)) return null;
+        const bullet = {
+            id: data.id,
+            shooterId,
+            origin: data.position.slice(),
+            direction: [x / length, y / length, z / length],
+            flight: this.shared.getShotFlight(weapon, data.charge),
+            damage: this.shared.getShotDamage(weapon, data.charge),
+            spawnTime: shotTime,
+            lastTime: shotTime
+        };
+        this.bullets.set(bullet.id, bullet);
+        return bullet;
+    }
+
+    // Hold each hand to its weapon's fire rate and magazine, as the client's Weapon does.
+    // Pellets of one `blast` (the client's shot time) count as a single shot. Reloads aren't
+    // reported: one takes reloadTime with the trigger dead, so a gap at least that long
+    // since the hand's last shot may have refilled it. Switching weapons comes up full.
+    takeShot(shooterId, hand, type, weapon, shotTime, blast = shotTime) {
+        const key = `${shooterId}:${hand}`;
+        let magazine = this.magazines.get(key);
+        if (!magazine || magazine.type !== type) {
+            magazine = { type, ammo: weapon.magazine, lastShotTime: -Infinity, lastBlast: null, pellets: 0 };
+            this.magazines.set(key, magazine);
+        }
+
+        if (blast === magazine.lastBlast) {
+            if (magazine.pellets >= weapon.pellets) return false;
+            magazine.pellets++;
+            return true;
+        }
+
+        const sinceLastShot = shotTime - magazine.lastShotTime;
+        if (sinceLastShot < weapon.fireInterval - FIRE_INTERVAL_SLACK) return false;
+        if (sinceLastShot >= weapon.reloadTime) {
+            magazine.ammo = weapon.magazine;
+        }
+        if (magazine.ammo <= 0) return false;
+
+        magazine.ammo--;
+        magazine.lastShotTime = shotTime;
+        magazine.lastBlast = blast;
+        magazine.pellets = 1;
+        return true;
+    }
+
+    // Clear birds, bullets, scores and magazines for a fresh match
+    reset() {
+        this.birds.clear();
+        this.flocks.clear();
+        this.bullets.clear();
+        this.scores.clear();
+        this.magazines.clear();
+    }
+
+    clearBirds() {
+        this.birds.clear();
+        this.flocks.clear();
+    }
+
+    // Final standings for `playerIds`, highest score first; anyone who never scored has 0
+    getResults(playerIds) {
+        return playerIds.map(playerId => ({ playerId, score: this.scores.get(playerId) || 0 }))
+            .sort((a, b) => b.score - a.score);
+    }
+
+    // Fly every flock on to `now`
+    moveBirds(now) {
+        this.flocks.forEach(flock => flock.advanceTo(now));
+        for (const bird of this.birds.values()) {
+            bird.position = bird.flock.positionAt(bird.index, now);
+        }
+    }
+
+    // Remember where every bird is now so later shots can be rewound to this moment
+    recordHistory(now) {
+        const cutoff = now - MAX_REWIND;
+        for (const bird of this.birds.values()) {
+            bird.history.push({ time: now, position: bird.position.slice() });
+            // Keep one sample at or before the cutoff so the whole window can be interpolated
+            while (bird.history.length > 2 && bird.history[1].time <= cutoff) {
+                bird.history.shift();
+            }
+        }
+    }
+
+    // Where a bird was at `time`, or null if it had not spawned yet
+    birdPositionAt(bird, time) {
+        if (time < bird.spawnTime) return null;
+
+        const { history } = bird;
+        const last = history[history.length - 1];
+        if (!last || time >= last.time) return bird.position;
+        if (time <= history[0].time) return history[0].position;
+
+        let i = history.length - 1;
+        while (history[i - 1].time > time) i--;
+        const from = history[i - 1];
+        const to = history[i];
+        const alpha = to.time > from.time ? (time - from.time) / (to.time - from.time) : 1;
+        return [
+            from.position[0] + (to.position[0] - from.position[0]) * alpha,
+            from.position[1] + (to.position[1] - from.position[1]) * alpha,
+            from.position[2] + (to.position[2] - from.position[2]) * alpha
+        ];
+    }
+
+    // First bird the bullet touches between two times, tested in slices against rewound bird poses
+    sweepBullet(bullet, startTime, endTime) {
+        for (let t0 = startTime; t0 < endTime; t0 += SWEEP_STEP) {
+            const t1 = Math.min(endTime, t0 + SWEEP_STEP);
+            const start = this.bulletPositionAt(bullet, t0);
+            const end = this.bulletPositionAt(bullet, t1);
+
+            let hitBird = null;
+            let hitT = Infinity;
+            for (const bird of this.birds.values()) {
+                const center = this.birdPositionAt(bird, t1);
+                if (!center) continue;
+                const t = segmentSphereIntersection(start, end, center, bird.hitRadius + this.shared.BULLET_RADIUS);
+                if (t !== null && t < hitT) {
+                    hitT = t;
+                    hitBird = bird;
+                }
+            }
+            if (hitBird) return hitBird;
+        }
+        return null;
+    }
+
+    // The same path the shooter's client draws
+    bulletPositionAt(bullet, time) {
+        return this.shared.projectilePositionAt(bullet.origin, bullet.direction, bullet.flight, (time - bullet.spawnTime) / 1000);
+    }
+
+    addScore(playerId, points) {
+        const score = (this.scores.get(playerId) || 0) + points;
+        this.scores.set(playerId, score);
+        return score;
+    }
+
+    removePlayer(playerId) {
+        this.scores.delete(playerId);
+        this.magazines.delete(`${playerId}:0`);
+        this.magazines.delete(`${playerId}:1`);
+        for (const [id, bullet] of this.bullets) {
+            if (bullet.shooterId === playerId) {
+                this.bullets.delete(id);
+            }
+        }
+    }
+
+    // Every hit stops the bullet; the bird only goes down, and scores its points, once out of health
+    damageBird(bird, damage, shooterId) {
+        bird.health = Math.max(0, bird.health - damage);
+        const killed = bird.health === 0;
+        if (killed) {
+            this.removeBird(bird.id);
+        }
+        return {
+            birdId: bird.id,
+            killed,
+            health: bird.health,
+            points: killed ? bird.points : 0,
+            score: killed ? this.addScore(shooterId, bird.points) : this.scores.get(shooterId) || 0
+        };
+    }
+
+    // Advance every bullet to `now`; returns the hits decided this step and the ids of birds that expired
+    step(now) {
+        const hits = [];
+        const expiredBirds = [];
+
+        for (const [id, bird] of this.birds) {
+            if (now - bird.spawnTime > this.shared.BIRD_LIFESPAN) {
+                this.removeBird(id);
+                expiredBirds.push(id);
+            }
+        }
+
+        this.moveBirds(now);
+        this.recordHistory(now);
+
+        for (const [bulletId, bullet] of this.bullets) {
+            const endTime = Math.min(now, bullet.spawnTime + this.shared.BULLET_LIFESPAN);
+
+            // Find the first bird along this step's path; a new shot's first step starts in the past
+            const hitBird = this.sweepBullet(bullet, bullet.lastTime, endTime);
+            if (hitBird) {
+                this.bullets.delete(bulletId);
+                hits.push({
+                    ...this.damageBird(hitBird, bullet.damage, bullet.shooterId),
+                    bulletId,
+                    shooterId: bullet.shooterId
+                });
+                continue;
+            }
+
+            if (endTime >= bullet.spawnTime + this.shared.BULLET_LIFESPAN) {
+                this.bullets.delete(bulletId);
+            } else {
+                bullet.lastTime = endTime;
+            }
+        }
+
+        return { hits, expiredBirds };
+    }
+}
+
+module.exports = GameState;
@@ -0,0 +1,127 @@
+// Persistent high scores, kept in a JSON file so they survive restarts.
+// Every finished match appends its standings; queries rank them by score.
+// Entries are kept under the player's chosen name, since player ids only last a connection.
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FILE = path.join(__dirname, 'data', 'leaderboard.json');
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+const KEEP_PER_MODE = 100; // Older entries outside each mode's top scores are pruned
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function startOfDay(now) {
+    return now - (now % DAY_MS); // UTC midnight
+}
+
+function byScore(a, b) {
+    return b.score - a.score || a.endedAt - b.endedAt;
+}
+
+class Leaderboard {
+    constructor(file = DEFAULT_FILE) {
+        this.file = file;
+        this.entries = []; // { name, score, mode, roomCode, endedAt }
+        this.saving = null; // In-flight write
+        this.dirty = false; // Changed again while a write was in flight
+        this.load();
+    }
+
+    load() {
+        try {
+            const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+            // Boards from before names were recorded only have meaningless session ids
+            this.entries = Array.isArray(data.entries) ?
+                data.entries.filter(entry => typeof entry.name === 'string') : [];
+            console.log(`Loaded ${this.entries.length} leaderboard entries from ${this.file}`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Failed to load leaderboard, starting empty:', error);
+            }
+            this.entries = [];
+        }
+    }
+
+    // Record a finished match's standings: { name, score } per player. Positive scores from
+    // named players only; anyone who never gave a name can't be told apart across matches.
+    record(mode, roomCode, results, now) {
+        const entries = results
+            .filter(result => result.name && result.score > 0)
+            .map(result => ({
+                name: result.name,
+                score: result.score,
+                mode,
+                roomCode,
+                endedAt: now
+            }));
+        if (entries.length === 0) return;
+
+        this.entries.push(...entries);
+        this.prune(now);
+        this.save();
+    }
+
+    // Keep each mode's top scores plus everything from today
+    prune(now) {
+        const today = startOfDay(now);
+        const kept = new Set();
+        const counts = new Map();
+        this.entries.slice().sort(byScore).forEach(entry => {
+            const count = counts.get(entry.mode) || 0;
+            if (count < KEEP_PER_MODE || entry.endedAt >= today) {
+                kept.add(entry);
+                counts.set(entry.mode, count + 1);
+            }
+        });
+        this.entries = this.entries.filter(entry => kept.has(entry));
+    }
+
+    save() {
+        if (this.saving) {
+            this.dirty = true;
+            return;
+        }
+
+        // Write to a temp file first so a crash never leaves a half-written board
+        const tempFile = `${this.file}.tmp`;
+        const data = JSON.stringify({ entries: this.entries });
+        this.saving = fs.promises.mkdir(path.dirname(this.file), { recursive: true })
+            .then(() => fs.promises.writeFile(tempFile, data))
+            .then(() => fs.promises.rename(tempFile, this.file))
+            .catch(error => console.error('Failed to save leaderboard:', error))
+            .then(() => {
+                this.saving = null;
+                if (this.dirty) {
+                    this.dirty = false;
+                    this.save();
+                }
+            });
+    }
+
+    top(entries, limit) {
+        return entries.slice().sort(byScore).slice(0, limit);
+    }
+
+    // All-time, today's and per-mode top scores, optionally for a single mode
+    getBoards(now, options = {}) {
+        const limit = Math.min(MAX_LIMIT, Math.max(1, Number.parseInt(options.limit, 10) || DEFAULT_LIMIT));
+        const entries = options.mode ?
+            this.entries.filter(entry => entry.mode === options.mode) :
+            this.entries;
+        const today = startOfDay(now);
+
+        const modes = {};
+        new Set(entries.map(entry => entry.mode)).forEach(mode => {
+            modes[mode] = this.top(entries.filter(entry => entry.mode === mode), limit);
+        });
+
+        return {
+            allTime: this.top(entries, limit),
+            daily: this.top(entries.filter(entry => entry.endedAt >= today), limit),
+            modes
+        };
+    }
+}
+
+module.exports = Leaderboard;
@@ -0,0 +1,95 @@
+// Per-room match flow: lobby -> countdown -> playing -> results -> lobby.
+// The server owns every transition; clients only render the current phase.
+
+const { loadWaves, getWaveIndexAt, getScheduleDuration } = require('./waves');
+
+const PHASES = {
+    LOBBY: 'lobby',
+    COUNTDOWN: 'countdown',
+    PLAYING: 'playing',
+    RESULTS: 'results'
+};
+
+// Waves played during a match, sent to clients with the match state
+const WAVES = loadWaves(process.env.WAVES_FILE);
+
+// How long each timed phase lasts in ms (the lobby waits for a start request).
+// A match runs through every wave unless MATCH_DURATION_MS says otherwise; the last wave
+// carries on if that's longer.
+const PHASE_DURATIONS = {
+    [PHASES.COUNTDOWN]: Number(process.env.COUNTDOWN_DURATION_MS || 3000),
+    [PHASES.PLAYING]: Number(process.env.MATCH_DURATION_MS || getScheduleDuration(WAVES)),
+    [PHASES.RESULTS]: Number(process.env.RESULTS_DURATION_MS || 10000)
+};
+
+const NEXT_PHASE = {
+    [PHASES.COUNTDOWN]: PHASES.PLAYING,
+    [PHASES.PLAYING]: PHASES.RESULTS,
+    [PHASES.RESULTS]: PHASES.LOBBY
+};
+
+class Match {
+    constructor(now = Date.now()) {
+        this.phase = PHASES.LOBBY;
+        this.phaseStartedAt = now;
+        this.results = null; // Final standings, set when entering results
+    }
+
+    get duration() {
+        return PHASE_DURATIONS[this.phase] || 0;
+    }
+
+    get isPlaying() {
+        return this.phase === PHASES.PLAYING;
+    }
+
+    // Index into WAVES of the wave being played at `now`, or null outside the playing phase
+    currentWave(now) {
+        return this.isPlaying ? getWaveIndexAt(WAVES, now - this.phaseStartedAt) : null;
+    }
+
+    timeRemaining(now) {
+        return this.duration ? Math.max(0, this.duration - (now - this.phaseStartedAt)) : null;
+    }
+
+    // Begin the countdown; only valid from the lobby
+    start(now) {
+        if (this.phase !== PHASES.LOBBY) return false;
+        this.enter(PHASES.COUNTDOWN, now);
+        return true;
+    }
+
+    // Move on once a timed phase has run out; returns true if the phase changed
+    update(now) {
+        if (!this.duration || now - this.phaseStartedAt < this.duration) {
+            return false;
+        }
+        this.enter(NEXT_PHASE[this.phase], now);
+        return true;
+    }
+
+    enter(phase, now) {
+        this.phase = phase;
+        this.phaseStartedAt = now;
+        if (phase !== PHASES.RESULTS) {
+            this.results = null;
+        }
+    }
+
+    // Broadcast form of the current phase, stamped with the server's clock
+    getState(now) {
+        return {
+            phase: this.phase,
+            phaseStartedAt: this.phaseStartedAt,
+            duration: this.duration,
+            serverTime: now,
+            results: this.results,
+            waves: WAVES
+        };
+    }
+}
+
+Match.PHASES = PHASES;
+Match.WAVES = WAVES;
+
+module.exports = Match;
@@ -0,0 +1,116 @@
+// Per-client flood protection: a token bucket per message type and a size cap per frame.
+// Over-limit messages are dropped; a client that keeps tripping the limits is warned,
+// then disconnected. Violations are counted per bucket so a buggy client that spams one
+// message can be told apart from one that hammers everything.
+
+// Sustained messages per second and burst size, keyed by message type. Anything not
+// listed shares the `default` bucket, including unparseable and unknown messages.
+const DEFAULT_LIMITS = {
+    default: { rate: 10, burst: 20 },
+    position: { rate: 40, burst: 60 }, // Clients send 20/s
+    entitySpawn: { rate: 30, burst: 40 }, // Shots (a shotgun blast is six) and bird waves
+    entityDespawn: { rate: 30, burst: 60 },
+    entityState: { rate: 40, burst: 80 },
+    timeSync: { rate: 5, burst: 10 },
+    voice_ice_candidate: { rate: 30, burst: 60 } // ICE gathering comes in bursts
+};
+
+// RATE_LIMITS='{"entitySpawn":{"rate":5,"burst":10}}' overrides individual types
+function loadLimits() {
+    if (!process.env.RATE_LIMITS) return DEFAULT_LIMITS;
+    try {
+        return { ...DEFAULT_LIMITS, ...JSON.parse(process.env.RATE_LIMITS) };
+    } catch (error) {
+        console.error('Ignoring invalid RATE_LIMITS:', error.message);
+        return DEFAULT_LIMITS;
+    }
+}
+
+const LIMITS = loadLimits();
+const MAX_MESSAGE_BYTES = Number(process.env.MAX_MESSAGE_BYTES || 16384);
+const VIOLATION_WINDOW = Number(process.env.RATE_LIMIT_WINDOW_MS || 10000);
+const WARN_AFTER = Number(process.env.RATE_LIMIT_WARN_AFTER || 10); // Violations within the window
+const DISCONNECT_AFTER = Number(process.env.RATE_LIMIT_DISCONNECT_AFTER || 50);
+const OVERSIZED = 'oversized'; // Violation key for frames over MAX_MESSAGE_BYTES
+
+const ACTIONS = {
+    ALLOW: 'allow',
+    DROP: 'drop',
+    WARN: 'warn', // Drop, and tell the client to slow down
+    DISCONNECT: 'disconnect'
+};
+
+class RateLimiter {
+    constructor() {
+        this.buckets = new Map(); // type -> { tokens, updatedAt }
+        this.recentViolations = []; // Times of violations within VIOLATION_WINDOW, oldest first
+        this.violationCounts = new Map(); // bucket or 'oversized' -> total since connecting
+        this.warned = false; // Already warned during the current run of violations
+    }
+
+    get totalViolations() {
+        let total = 0;
+        this.violationCounts.forEach(count => {
+            total += count;
+        });
+        return total;
+    }
+
+    // Totals by bucket, for logs
+    getViolationCounts() {
+        return Object.fromEntries(this.violationCounts);
+    }
+
+    // Check a frame's size before it is parsed
+    checkSize(bytes, now) {
+        return bytes > MAX_MESSAGE_BYTES ? this.recordViolation(OVERSIZED, now) : ACTIONS.ALLOW;
+    }
+
+    // Take a token from the type's bucket; `type` is null for messages we couldn't parse
+    checkRate(type, now) {
+        const key = Object.prototype.hasOwnProperty.call(LIMITS, type) ? type : 'default';
+        const limit = LIMITS[key];
+
+        let bucket = this.buckets.get(key);
+        if (!bucket) {
+            bucket = { tokens: limit.burst, updatedAt: now };
+            this.buckets.set(key, bucket);
+        }
+
+        bucket.tokens = Math.min(limit.burst, bucket.tokens + (now - bucket.updatedAt) * limit.rate / 1000);
+        bucket.updatedAt = now;
+        if (bucket.tokens >= 1) {
+            bucket.tokens -= 1;
+            return ACTIONS.ALLOW;
+        }
+        return this.recordViolation(key, now);
+    }
+
+    // Count a violation and escalate depending on how many happened recently
+    recordViolation(key, now) {
+        this.violationCounts.set(key, (this.violationCounts.get(key) || 0) + 1);
+
+        const cutoff = now - VIOLATION_WINDOW;
+        while (this.recentViolations.length > 0 && this.recentViolations[0] <= cutoff) {
+            this.recentViolations.shift();
+        }
+        if (this.recentViolations.length === 0) {
+            this.warned = false; // Behaved for a whole window, so a new run gets a fresh warning
+        }
+        this.recentViolations.push(now);
+
+        const recent = this.recentViolations.length;
+        if (recent >= DISCONNECT_AFTER) return ACTIONS.DISCONNECT;
+        if (recent >= WARN_AFTER && !this.warned) {
+            this.warned = true;
+            return ACTIONS.WARN;
+        }
+        return ACTIONS.DROP;
+    }
+}
+
+RateLimiter.ACTIONS = ACTIONS;
+RateLimiter.OVERSIZED = OVERSIZED;
+RateLimiter.MAX_MESSAGE_BYTES = MAX_MESSAGE_BYTES;
+
+module.exports = RateLimiter;
@@ -0,0 +1,220 @@
+const WebSocket = require('ws');
+const GameState = require('./gameState');
+const Match = require('./match');
+
+const DEFAULT_MAX_PLAYERS = 4;
+const MIN_PLAYERS = 2;
+const MAX_PLAYERS = 8;
+const MAX_PASSWORD_LENGTH = 32;
+const DEFAULT_MODE = 'classic'; // The first of GAME_MODES in shared/protocol.mjs, which checks `mode` on host
+const MAX_ENTITIES = 256; // Persistent entities per room
+const MAX_OWNED_ENTITIES = 16; // Persistent entities one player may own
+
+// A single multiplayer room: its sockets, current host and game state
+class Room {
+    // `shared` holds the shared/ module exports the room runs on; see GameState and deliver()
+    constructor(code, options = {}, shared = {}) {
+        this.code = code;
+        this.shared = shared;
+        this.clients = new Set(); // ws, in join order
+        this.held = new Set(); // Ids of dropped players whose place is kept while they may resume
+        this.hostWs = null;
+        this.game = new GameState(shared);
+        this.match = new Match();
+        this.entities = new Map(); // Persistent replicated entities: id -> { id, kind, ownerId, state, spawnTime }
+
+        // Host-chosen settings
+        this.isPrivate = Boolean(options.isPrivate); // Hidden from autoJoin and the room list
+        this.password = typeof options.password === 'string' && options.password ?
+            options.password.slice(0, MAX_PASSWORD_LENGTH) : null;
+        this.maxPlayers = Number.isInteger(options.maxPlayers) ?
+            Math.min(MAX_PLAYERS, Math.max(MIN_PLAYERS, options.maxPlayers)) : DEFAULT_MAX_PLAYERS;
+        this.mode = options.mode || DEFAULT_MODE; // Leaderboard category
+        this.closeTimer = null; // Pending deletion while the room is empty
+
+        // Development only: simulated latency, jitter, loss and reordering on everything we send
+        this.netConditions = null;
+        this.links = new Map(); // ws -> SimulatedLink
+    }
+
+    get size() {
+        return this.clients.size;
+    }
+
+    // Connected players plus those holding their place, so a resume never overfills the room
+    get playerCount() {
+        return this.clients.size + this.held.size;
+    }
+
+    get hasEntityRoom() {
+        return this.entities.size < MAX_ENTITIES;
+    }
+
+    // Whether `ownerId` may spawn another persistent entity; `counts` picks which of theirs count
+    canOwnEntity(ownerId, counts = () => true) {
+        let owned = 0;
+        this.entities.forEach(entity => {
+            if (entity.ownerId === ownerId && counts(entity)) {
+                owned++;
+            }
+        });
+        return owned < MAX_OWNED_ENTITIES;
+    }
+
+    get isFull() {
+        return this.playerCount >= this.maxPlayers;
+    }
+
+    // Whether autoJoin may drop a stranger into this room
+    get isOpen() {
+        return !this.isPrivate && !this.password && this.size > 0 && !this.isFull;
+    }
+
+    hold(playerId) {
+        this.held.add(playerId);
+    }
+
+    // Returns whether the player had a place held
+    release(playerId) {
+        return this.held.delete(playerId);
+    }
+
+    checkPassword(password) {
+        return !this.password || password === this.password;
+    }
+
+    add(ws) {
+        this.cancelClose();
+        this.clients.add(ws);
+        // A room without a host (e.g. created by autoJoin) gets one immediately
+        if (!this.hostWs) {
+            this.hostWs = ws;
+        }
+    }
+
+    remove(ws) {
+        this.clients.delete(ws);
+        this.links.delete(ws);
+        if (this.hostWs === ws) {
+            this.hostWs = null;
+        }
+    }
+
+    // Keep an empty room alive for `delay` ms before calling `onClose`
+    scheduleClose(delay, onClose) {
+        this.cancelClose();
+        this.closeTimer = setTimeout(() => {
+            this.closeTimer = null;
+            onClose(this);
+        }, delay);
+    }
+
+    cancelClose() {
+        if (this.closeTimer) {
+            clearTimeout(this.closeTimer);
+            this.closeTimer = null;
+        }
+    }
+
+    isHost(ws) {
+        return this.hostWs === ws;
+    }
+
+    // Promote the longest-connected remaining client to host
+    electHost() {
+        const [next] = this.clients;
+        this.hostWs = next || null;
+        return this.hostWs;
+    }
+
+    addEntity(entity) {
+        this.entities.set(entity.id, entity);
+    }
+
+    removeEntity(id) {
+        const entity = this.entities.get(id) || null;
+        this.entities.delete(id);
+        return entity;
+    }
+
+    // Remove every entity matching `predicate` and return them
+    removeEntities(predicate) {
+        const removed = [];
+        this.entities.forEach(entity => {
+            if (predicate(entity)) {
+                removed.push(entity);
+            }
+        });
+        removed.forEach(entity => this.entities.delete(entity.id));
+        return removed;
+    }
+
+    // Authoritative game state: replicated entities, scores and the match clock
+    getState(now) {
+        return {
+            entities: Array.from(this.entities.values()),
+            scores: Array.from(this.game.scores, ([playerId, score]) => ({ playerId, score })),
+            match: this.match.getState(now)
+        };
+    }
+
+    // Public listing entry for the room browser
+    getSummary(now) {
+        return {
+            code: this.code,
+            players: this.playerCount,
+            maxPlayers: this.maxPlayers,
+            mode: this.mode,
+            hasPassword: Boolean(this.password),
+            state: this.match.phase,
+            timeRemaining: this.match.timeRemaining(now)
+        };
+    }
+
+    // Simulate a bad network towards every client, or pass null to turn it off
+    setNetConditions(conditions) {
+        this.netConditions = conditions;
+        this.links.clear();
+    }
+
+    // Send to one socket, through its simulated link while the room has net conditions
+    deliver(ws, payload, type, options = {}) {
+        if (!this.netConditions) {
+            ws.send(payload, options);
+            return;
+        }
+
+        let link = this.links.get(ws);
+        if (!link) {
+            link = new this.shared.SimulatedLink(this.netConditions);
+            this.links.set(ws, link);
+        }
+        link.send(() => {
+            if (ws.readyState === WebSocket.OPEN) {
+                ws.send(payload, options);
+            }
+        }, type);
+    }
+
+    // Send a binary frame as-is
+    relay(frame, exclude = null) {
+        this.clients.forEach(client => {
+            if (client !== exclude && client.readyState === WebSocket.OPEN) {
+                this.deliver(client, frame, null, { binary: true });
+            }
+        });
+    }
+
+    broadcast(message, exclude = null) {
+        const messageStr = JSON.stringify(message);
+        this.clients.forEach(client => {
+            if (client !== exclude && client.readyState === WebSocket.OPEN) {
+                this.deliver(client, messageStr, message.type);
+            }
+        });
+    }
+}
+
+Room.MAX_OWNED_ENTITIES = MAX_OWNED_ENTITIES;
+
+module.exports = Room;
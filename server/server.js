@@ -4,9 +4,39 @@ const path = require('path');
 const express = require('express');
 const WebSocket = require('ws');
 const ip = require('ip');
+const { v4: uuidv4 } = require('uuid');
+const Room = require('./room');
+const Match = require('./match');
+const Leaderboard = require('./leaderboard');
+const getEntityHooks = require('./entityHooks');
+const RateLimiter = require('./rateLimiter');
+const { checkWaves } = require('./waves');
 
 const app = express();
 const port = process.env.PORT || 3001;
+const TICK_RATE = 30; // Server simulation steps per second
+const ROOM_GRACE_PERIOD = Number(process.env.ROOM_GRACE_PERIOD_MS || 30000); // How long an empty room stays open
+const RESUME_WINDOW = Number(process.env.RESUME_WINDOW_MS || 15000); // How long a dropped player can resume
+const HEARTBEAT_INTERVAL = Number(process.env.HEARTBEAT_INTERVAL_MS || 5000); // How often idle sockets are pinged
+const HEARTBEAT_TIMEOUT = Number(process.env.HEARTBEAT_TIMEOUT_MS || 15000); // Silence before a socket is dropped
+const leaderboard = new Leaderboard(process.env.LEADERBOARD_FILE);
+const POSE_HEADER_BYTES = 4; // Sender id prepended to relayed binary position frames
+const ALLOW_NET_SIM = process.env.ALLOW_NET_SIM === '1'; // Let clients make their room's network bad, for testing
+const MAX_NAME_LENGTH = 24;
+
+// Filled in from shared/protocol.mjs, an ES module shared with the browser, before the server listens
+let MSG;
+let ERRORS;
+let PROTOCOL_VERSION;
+let validateClientMessage;
+let normalizeConditions;
+let hasConditions;
+let getEntityKind;
+let canControlEntity;
+let AUTHORITY;
+let KIND_PATTERN;
+let MAX_ENTITY_ID_LENGTH;
+let roomShared; // What every Room's game logic needs from the shared modules
 
 // Enable CORS for remote debugging
 app.use((req, res, next) => {
@@ -22,6 +52,26 @@ app.use((req, res, next) => {
     next();
 });
 
+// List open rooms for the room browser
+app.get('/api/rooms', (req, res) => {
+    const now = Date.now();
+    const openRooms = Array.from(rooms.values())
+        .filter(room => !room.isPrivate && room.size > 0) // Empty rooms are held for their own players
+        .map(room => room.getSummary(now));
+    res.json({ rooms: openRooms });
+});
+
+// All-time, daily and per-mode top scores; ?mode= narrows to one mode, ?limit= caps each list
+app.get('/api/leaderboard', (req, res) => {
+    res.json(leaderboard.getBoards(Date.now(), {
+        mode: req.query.mode,
+        limit: req.query.limit
+    }));
+});
+
+// The protocol definition is shared with the client
+app.use('/shared', express.static(path.join(__dirname, '../shared')));
+
 // Serve static files from the client directory
 app.use(express.static(path.join(__dirname, '../client')));
 
@@ -38,97 +88,191 @@ if (process.env.NODE_ENV === 'production') {
     server = https.createServer(options, app);
 }
 
-const wss = new WebSocket.Server({ server });
+// Frames past MAX_MESSAGE_BYTES are dropped by the rate limiter; ones far past it are
+// refused by ws itself (close code 1009) before they are buffered
+const wss = new WebSocket.Server({
+    server,
+    maxPayload: RateLimiter.MAX_MESSAGE_BYTES * 4
+});
 
 // Store rooms and clients
-const rooms = new Map(); // roomCode -> Set of clients
-const clients = new Map(); // ws -> { id, roomCode }
+const rooms = new Map(); // roomCode -> Room
+const clients = new Map(); // ws -> { id, roomCode, resumeToken, ws, resumeTimer }
+const sessions = new Map(); // resumeToken -> client
 let nextClientId = 1;
 
-wss.on('connection', (ws) => {
-    const clientId = nextClientId++;
-    clients.set(ws, { id: clientId, roomCode: null });
-    console.log(`Client ${clientId} connected`);
+wss.on('connection', (ws, req) => {
+    const params = new URL(req.url, 'https://localhost').searchParams;
+
+    // Clients declare their protocol version as ?v=; turn away builds we can't talk to
+    const clientVersion = Number(params.get('v'));
+    if (clientVersion !== PROTOCOL_VERSION) {
+        console.warn(`Rejecting client with protocol version ${params.get('v')} (server is ${PROTOCOL_VERSION})`);
+        sendError(ws, ERRORS.VERSION_MISMATCH, 'This page is out of date. Please reload.', {
+            protocolVersion: PROTOCOL_VERSION
+        });
+        ws.close(1008, 'Protocol version mismatch');
+        return;
+    }
+
+    // Reconnecting clients pass the token from their last init as ?resume=
+    const resumeToken = params.get('resume');
+    const session = resumeToken ? sessions.get(resumeToken) : null;
+
+    // The old socket may be half-open (a headset that slept never closed it), so retire it
+    if (session && session.ws) {
+        retireStaleSocket(session);
+    }
+    const resuming = Boolean(session);
+
+    const client = resuming ? session : createClient();
+    client.ws = ws;
+    client.lastSeen = Date.now();
+    clients.set(ws, client);
+    console.log(`Client ${client.id} ${resuming ? 'reconnected' : 'connected'}`);
 
     // Send client their ID
     ws.send(JSON.stringify({
-        type: 'init',
-        id: clientId
+        type: MSG.INIT,
+        id: client.id,
+        resumeToken: client.resumeToken,
+        serverTime: Date.now(),
+        protocolVersion: PROTOCOL_VERSION
     }));
 
-    ws.on('message', (message) => {
+    if (resuming) {
+        resumeClient(ws, client);
+    } else if (resumeToken) {
+        ws.send(JSON.stringify({
+            type: MSG.RESUME_FAILED
+        }));
+    }
+
+    ws.on('pong', () => {
+        client.lastSeen = Date.now();
+    });
+
+    ws.on('message', (message, isBinary) => {
+        if (client.kicked) return;
+
+        const now = Date.now();
+        client.lastSeen = now;
+        if (!admitMessage(ws, client, client.limiter.checkSize(message.length, now), RateLimiter.OVERSIZED)) {
+            return;
+        }
+
+        // Binary frames are always position updates and are relayed without parsing
+        if (isBinary) {
+            if (admitMessage(ws, client, client.limiter.checkRate(MSG.POSITION, now), MSG.POSITION)) {
+                handlePoseFrame(ws, client, message);
+            }
+            return;
+        }
+
+        let data;
         try {
-            const data = JSON.parse(message);
-            const client = clients.get(ws);
+            data = JSON.parse(message);
+        } catch (error) {
+            if (admitMessage(ws, client, client.limiter.checkRate(null, now), null)) {
+                sendError(ws, ERRORS.MALFORMED_MESSAGE, 'Messages must be valid JSON');
+            }
+            return;
+        }
+
+        const type = typeof data?.type === 'string' ? data.type : null;
+        if (!admitMessage(ws, client, client.limiter.checkRate(type, now), type)) {
+            return;
+        }
+
+        const invalid = validateClientMessage(data);
+        if (invalid) {
+            console.warn(`Rejected message from client ${client.id}: ${invalid.message}`);
+            sendError(ws, invalid.code, invalid.message, {
+                messageType: typeof data?.type === 'string' ? data.type.slice(0, 64) : undefined
+            });
+            return;
+        }
 
+        try {
             switch (data.type) {
-                case 'host':
-                    handleHostSession(ws, client, data.roomCode);
+                case MSG.HOST:
+                    setPlayerName(client, data.name);
+                    handleHostSession(ws, client, data.roomCode, {
+                        isPrivate: data.isPrivate,
+                        password: data.password,
+                        maxPlayers: data.maxPlayers,
+                        mode: data.mode
+                    });
                     break;
 
-                case 'join':
-                    handleJoinSession(ws, client, data.roomCode);
+                case MSG.JOIN:
+                    setPlayerName(client, data.name);
+                    handleJoinSession(ws, client, data.roomCode, data.password);
                     break;
 
-                case 'autoJoin':
+                case MSG.AUTO_JOIN:
+                    setPlayerName(client, data.name);
                     handleAutoJoin(ws, client);
                     break;
 
-                case 'position':
-                case 'interaction':
-                    // Forward updates only to clients in the same room
+                case MSG.LEAVE:
+                    removeClientFromRoom(ws, client);
+                    break;
+
+                case MSG.POSITION:
+                    // Keep the latest pose for late joiners' snapshots
+                    client.pose = {
+                        time: data.time,
+                        position: data.position,
+                        headPosition: data.headPosition,
+                        headRotation: data.headRotation,
+                        controllers: data.controllers
+                    };
+                    client.poseFrame = null;
                     broadcastToRoom(client.roomCode, {
                         ...data,
                         id: client.id
                     }, ws);
                     break;
 
-                case 'bulletSpawned':
+                case MSG.INTERACTION:
+                    // Forward updates only to clients in the same room
                     broadcastToRoom(client.roomCode, {
-                        type: 'bulletSpawned',
-                        senderId: client.id,
-                        data: data.data
+                        ...data,
+                        id: client.id
                     }, ws);
                     break;
 
-                case 'birdSpawned':
-                    broadcastToRoom(client.roomCode, {
-                        type: 'birdSpawned',
-                        senderId: client.id,
-                        data: data.data
-                    }, ws);
+                case MSG.ENTITY_SPAWN:
+                    handleEntitySpawn(ws, client, data);
                     break;
 
-                case 'birdKilled':
-                    broadcastToRoom(client.roomCode, {
-                        type: 'birdKilled',
-                        senderId: client.id,
-                        data: data.data
-                    }, ws);
+                case MSG.ENTITY_DESPAWN:
+                    handleEntityDespawn(ws, client, data);
                     break;
 
-                case 'sphereSpawned':
-                    broadcastToRoom(client.roomCode, {
-                        type: 'sphereSpawned',
-                        senderId: client.id,
-                        data: data.data
-                    }, ws);
+                case MSG.ENTITY_STATE:
+                    handleEntityState(ws, client, data);
                     break;
 
-                case 'sphereRemoved':
-                    broadcastToRoom(client.roomCode, {
-                        type: 'sphereRemoved',
-                        senderId: client.id,
-                        data: data.data
-                    }, ws);
+                case MSG.TIME_SYNC:
+                    handleTimeSync(ws, data);
+                    break;
+
+                case MSG.START_MATCH:
+                    handleStartMatch(ws, client);
+                    break;
+
+                case MSG.NET_CONDITIONS:
+                    handleNetConditions(ws, client, data);
                     break;
 
                 // Voice chat signaling
-                case 'voice_ready':
-                case 'voice_offer':
-                case 'voice_answer':
-                case 'voice_ice_candidate':
-                case 'voice_stop':
+                case MSG.VOICE_READY:
+                case MSG.VOICE_OFFER:
+                case MSG.VOICE_ANSWER:
+                case MSG.VOICE_ICE_CANDIDATE:
+                case MSG.VOICE_STOP:
                     console.log(`Voice ${data.type} from ${client.id} in room ${client.roomCode}`);
                     
                     // Forward to specific target if specified, otherwise broadcast to room
@@ -154,99 +298,176 @@ wss.on('connection', (ws) => {
                     break;
             }
         } catch (error) {
-            console.error('Failed to parse message:', error);
+            console.error(`Failed to handle ${data.type} from client ${client.id}:`, error);
         }
     });
 
     ws.on('close', () => {
-        const client = clients.get(ws);
+        // Retired sockets were already handed over to a resumed connection
+        if (clients.get(ws) !== client) return;
+
         console.log(`Client ${client.id} disconnected`);
-        
-        // Remove from room if in one
-        if (client.roomCode) {
-            const room = rooms.get(client.roomCode);
-            if (room) {
-                room.delete(ws);
-                // Notify others in room
-                broadcastToRoom(client.roomCode, {
-                    type: 'playerLeft',
-                    id: client.id
-                });
-                // Delete room if empty
-                if (room.size === 0) {
-                    rooms.delete(client.roomCode);
-                    console.log(`Room ${client.roomCode} deleted`);
-                }
-            }
+        if (client.limiter.totalViolations > 0) {
+            console.log(`Client ${client.id} rate limit violations:`, client.limiter.getViolationCounts());
         }
-        
         clients.delete(ws);
+        client.ws = null;
+
+        // Clients disconnected for flooding lose their place rather than resuming
+        if (client.kicked) {
+            removeClientFromRoom(ws, client);
+            sessions.delete(client.resumeToken);
+        } else if (client.roomCode) {
+            // Hold their place in the room in case they come back
+            suspendClient(ws, client);
+        } else {
+            sessions.delete(client.resumeToken);
+        }
     });
 
     ws.on('error', (error) => {
-        const client = clients.get(ws);
         console.error(`WebSocket error for client ${client.id}:`, error);
     });
 });
 
-function handleHostSession(ws, client, roomCode) {
+function createClient() {
+    const client = {
+        id: nextClientId++,
+        roomCode: null,
+        resumeToken: uuidv4(),
+        ws: null,
+        resumeTimer: null,
+        name: null, // Chosen by the player when they host or join; their scores go on the leaderboard under it
+        pose: null, // Last JSON position update, for snapshots
+        poseFrame: null, // Last binary position frame, replayed to late joiners
+        limiter: new RateLimiter(),
+        kicked: false, // Disconnected for flooding; ignore anything still in flight
+        lastSeen: 0 // Last message or pong from the current socket
+    };
+    sessions.set(client.resumeToken, client);
+    return client;
+}
+
+// Ids change with every connection, so the name is what ties a player's scores together
+function setPlayerName(client, name) {
+    const clean = typeof name === 'string' ?
+        name.replace(/[\u0000-\u001f\u007f]/g, '').trim().slice(0, MAX_NAME_LENGTH) : '';
+    if (clean) {
+        client.name = clean;
+    }
+}
+
+function sendError(ws, code, message, details = {}) {
+    ws.send(JSON.stringify({
+        type: MSG.ERROR,
+        code,
+        message,
+        ...details
+    }));
+}
+
+// Act on the rate limiter's verdict for a message; returns true if it should be handled.
+// `messageType` is the offending type, 'oversized' or null for unparseable messages.
+function admitMessage(ws, client, action, messageType) {
+    const { ACTIONS } = RateLimiter;
+    if (action === ACTIONS.ALLOW) return true;
+
+    const oversized = messageType === RateLimiter.OVERSIZED;
+    const code = oversized ? ERRORS.MESSAGE_TOO_LARGE : ERRORS.RATE_LIMITED;
+    const details = oversized ? {} : { messageType: messageType?.slice(0, 64) };
+
+    if (action === ACTIONS.WARN) {
+        console.warn(`Client ${client.id} is over its rate limits:`, client.limiter.getViolationCounts());
+        sendError(ws, code, oversized ?
+            `Messages may be at most ${RateLimiter.MAX_MESSAGE_BYTES} bytes` :
+            'Too many messages, slow down', details);
+    } else if (action === ACTIONS.DISCONNECT) {
+        console.warn(`Disconnecting client ${client.id} for flooding:`, client.limiter.getViolationCounts());
+        sendError(ws, code, 'Disconnected for sending too many messages', {
+            ...details,
+            disconnected: true
+        });
+        client.kicked = true;
+        ws.close(1008, 'Rate limit exceeded');
+    }
+    return false;
+}
+
+// Players leave one room before entering another, or they'd linger in it as a ghost
+function rejectIfInRoom(ws, client) {
+    if (!client.roomCode) return false;
+    sendError(ws, ERRORS.ALREADY_IN_ROOM, 'Leave your current room first');
+    return true;
+}
+
+function handleHostSession(ws, client, roomCode, options) {
+    if (rejectIfInRoom(ws, client)) return;
+    const existingRoom = rooms.get(roomCode);
+
     // Create new room
-    if (!rooms.has(roomCode)) {
-        rooms.set(roomCode, new Set([ws]));
+    if (!existingRoom) {
+        const room = new Room(roomCode, options, roomShared);
+        room.add(ws);
+        rooms.set(roomCode, room);
         client.roomCode = roomCode;
-        console.log(`Room ${roomCode} created by client ${client.id}`);
+        console.log(`Room ${roomCode} created by client ${client.id} ` +
+            `(max ${room.maxPlayers}${room.isPrivate ? ', private' : ''}${room.password ? ', password' : ''})`);
         
         ws.send(JSON.stringify({
-            type: 'hostConfirm',
-            roomCode
+            type: MSG.HOST_CONFIRM,
+            roomCode,
+            hostId: client.id
         }));
+    } else if (existingRoom.size === 0 && !existingRoom.isFull && existingRoom.checkPassword(options.password)) {
+        // Reclaim a room that is still within its empty grace period
+        existingRoom.add(ws);
+        client.roomCode = roomCode;
+        console.log(`Room ${roomCode} reclaimed by client ${client.id}`);
+
+        sendWithSnapshot(ws, existingRoom, {
+            type: MSG.HOST_CONFIRM,
+            roomCode,
+            hostId: client.id
+        });
     } else {
-        ws.send(JSON.stringify({
-            type: 'error',
-            message: 'Room already exists'
-        }));
+        sendError(ws, ERRORS.ROOM_EXISTS, 'Room already exists');
     }
 }
 
-function handleJoinSession(ws, client, roomCode) {
+function handleJoinSession(ws, client, roomCode, password) {
+    if (rejectIfInRoom(ws, client)) return;
     const room = rooms.get(roomCode);
-    if (room) {
+    if (!room) {
+        sendError(ws, ERRORS.ROOM_NOT_FOUND, 'Room not found');
+    } else if (room.isFull) {
+        sendError(ws, ERRORS.ROOM_FULL, 'Room is full');
+    } else if (room.password && !password) {
+        sendError(ws, ERRORS.PASSWORD_REQUIRED, 'This room needs a password');
+    } else if (!room.checkPassword(password)) {
+        sendError(ws, ERRORS.WRONG_PASSWORD, 'Incorrect room password');
+    } else {
         // Join room
         room.add(ws);
         client.roomCode = roomCode;
         console.log(`Client ${client.id} joined room ${roomCode}`);
 
-        // Send confirmation
-        ws.send(JSON.stringify({
-            type: 'joinConfirm',
-            roomCode
-        }));
-
-        // Send existing players to new client
-        room.forEach(existingClient => {
-            if (existingClient !== ws) {
-                const existingClientData = clients.get(existingClient);
-                ws.send(JSON.stringify({
-                    type: 'playerJoined',
-                    id: existingClientData.id
-                }));
-            }
+        // Send confirmation with everything needed to catch up mid-match
+        sendWithSnapshot(ws, room, {
+            type: MSG.JOIN_CONFIRM,
+            roomCode,
+            hostId: clients.get(room.hostWs).id
         });
 
         // Notify others in room
         broadcastToRoom(roomCode, {
-            type: 'playerJoined',
+            type: MSG.PLAYER_JOINED,
             id: client.id
         }, ws);
-    } else {
-        ws.send(JSON.stringify({
-            type: 'error',
-            message: 'Room not found'
-        }));
     }
 }
 
 function handleAutoJoin(ws, client) {
+    if (rejectIfInRoom(ws, client)) return;
     console.log(`Client ${client.id} requesting auto-join`);
     
     // Find an existing room with space or create a new one
@@ -257,7 +478,8 @@ function handleAutoJoin(ws, client) {
     console.log('Looking for available rooms...');
     for (const [roomCode, room] of rooms.entries()) {
         console.log(`Checking room ${roomCode}: ${room.size} players`);
-        if (room.size < 4) { // Maximum 4 players per room
+        // Skip private, password-protected, full and empty (held) rooms
+        if (room.isOpen) {
             targetRoom = room;
             targetRoomCode = roomCode;
             console.log(`Found suitable room: ${roomCode}`);
@@ -268,7 +490,7 @@ function handleAutoJoin(ws, client) {
     // If no suitable room found, create a new one
     if (!targetRoom) {
         targetRoomCode = Math.random().toString(36).substring(2, 8).toUpperCase();
-        targetRoom = new Set();
+        targetRoom = new Room(targetRoomCode, {}, roomShared);
         rooms.set(targetRoomCode, targetRoom);
         console.log(`Created new room: ${targetRoomCode}`);
     }
@@ -278,57 +500,519 @@ function handleAutoJoin(ws, client) {
     client.roomCode = targetRoomCode;
     console.log(`Added client ${client.id} to room ${targetRoomCode}`);
 
-    // Get current players in the room
-    const currentPlayers = Array.from(targetRoom)
-        .filter(playerWs => playerWs !== ws) // Exclude the joining player
-        .map(playerWs => {
-            const playerClient = clients.get(playerWs);
-            return {
-                id: playerClient.id,
-                position: playerClient.position,
-                headPosition: playerClient.headPosition,
-                headRotation: playerClient.headRotation,
-                controllers: playerClient.controllers
-            };
-        });
-
-    console.log(`Current players in room: ${currentPlayers.map(p => p.id).join(', ') || 'none'}`);
-
     // Send confirmation to the client
-    const confirmMessage = {
-        type: 'autoJoinConfirm',
+    const { snapshot } = sendWithSnapshot(ws, targetRoom, {
+        type: MSG.AUTO_JOIN_CONFIRM,
         roomCode: targetRoomCode,
-        players: currentPlayers
-    };
-    console.log('Sending autoJoinConfirm:', confirmMessage);
-    ws.send(JSON.stringify(confirmMessage));
+        hostId: clients.get(targetRoom.hostWs).id
+    });
+    console.log(`Current players in room: ${snapshot.players.map(p => p.id).join(', ') || 'none'}`);
 
     // Notify other clients in the room
     broadcastToRoom(targetRoomCode, {
-        type: 'playerJoined',
+        type: MSG.PLAYER_JOINED,
         id: client.id
     }, ws);
 
     console.log(`Client ${client.id} auto-joined room ${targetRoomCode}`);
 }
 
+// A client created a networked object; it becomes the owner
+function handleEntitySpawn(ws, client, data) {
+    const room = rooms.get(client.roomCode);
+    if (!room) return;
+
+    const { id, kind, state } = data.entity;
+    const rules = getEntityKind(kind);
+    if (!KIND_PATTERN.test(kind) || id.length > MAX_ENTITY_ID_LENGTH || room.entities.has(id)) {
+        console.warn(`Ignoring invalid ${String(kind).slice(0, 32)} spawn from client ${client.id}`);
+        return;
+    }
+    if (rules.authority === AUTHORITY.HOST && !room.isHost(ws)) {
+        console.warn(`Ignoring ${kind} spawn from non-host client ${client.id}`);
+        return;
+    }
+    if (rules.persistent && !room.hasEntityRoom) {
+        console.warn(`Room ${room.code} is full of entities, ignoring ${kind} from client ${client.id}`);
+        return;
+    }
+    // Host-controlled kinds (birds) belong to the game rather than the host, so they don't count
+    const ownerControlled = entity => getEntityKind(entity.kind).authority === AUTHORITY.OWNER;
+    if (rules.persistent && rules.authority === AUTHORITY.OWNER && !room.canOwnEntity(client.id, ownerControlled)) {
+        console.warn(`Client ${client.id} owns too many entities, ignoring ${kind}`);
+        sendError(ws, ERRORS.ENTITY_LIMIT, `Players may own at most ${Room.MAX_OWNED_ENTITIES} entities`, {
+            entityId: id
+        });
+        return;
+    }
+
+    const now = Date.now();
+    const entity = {
+        id,
+        kind,
+        ownerId: client.id,
+        state,
+        spawnTime: now // Server time, whatever the spawner's clock says
+    };
+    const hooks = getEntityHooks(kind);
+    if (hooks.spawn && !hooks.spawn(room, entity, now)) {
+        console.warn(`Ignoring rejected ${kind} spawn from client ${client.id}`);
+        sendError(ws, ERRORS.ENTITY_REJECTED, `The server refused this ${kind}`, { entityId: id });
+        return;
+    }
+
+    if (rules.persistent) {
+        room.addEntity(entity);
+    }
+    broadcastToRoom(room.code, {
+        type: MSG.ENTITY_SPAWN,
+        senderId: client.id,
+        entity
+    }, ws);
+}
+
+// Only persistent entities are tracked, so transient ones (bullets) just expire on every client
+function handleEntityDespawn(ws, client, data) {
+    const room = rooms.get(client.roomCode);
+    const entity = room && room.entities.get(data.id);
+    if (!entity) return;
+
+    if (!canControlEntity(entity, client.id, clients.get(room.hostWs)?.id)) {
+        console.warn(`Ignoring despawn of ${entity.kind} ${entity.id} from client ${client.id}`);
+        return;
+    }
+    despawnEntity(room, entity, data.reason, ws);
+}
+
+function handleEntityState(ws, client, data) {
+    const room = rooms.get(client.roomCode);
+    const entity = room && room.entities.get(data.id);
+    if (!entity) return;
+
+    if (!canControlEntity(entity, client.id, clients.get(room.hostWs)?.id)) {
+        console.warn(`Ignoring state for ${entity.kind} ${entity.id} from client ${client.id}`);
+        return;
+    }
+
+    const hooks = getEntityHooks(entity.kind);
+    if (hooks.update && !hooks.update(room, entity, data.state, Date.now())) {
+        console.warn(`Ignoring rejected ${entity.kind} state from client ${client.id}`);
+        return;
+    }
+
+    // Updates may be partial; the stored state is what late joiners get
+    entity.state = { ...entity.state, ...data.state };
+
+    broadcastToRoom(room.code, {
+        type: MSG.ENTITY_STATE,
+        senderId: client.id,
+        id: entity.id,
+        state: data.state
+    }, ws);
+}
+
+function despawnEntity(room, entity, reason, exclude = null) {
+    room.removeEntity(entity.id);
+    const hooks = getEntityHooks(entity.kind);
+    if (hooks.despawn) {
+        hooks.despawn(room, entity);
+    }
+
+    broadcastToRoom(room.code, {
+        type: MSG.ENTITY_DESPAWN,
+        id: entity.id,
+        reason: typeof reason === 'string' ? reason.slice(0, 32) : undefined
+    }, exclude);
+}
+
+// Owner-controlled entities go with their owner; host-controlled ones pass to the next host
+function despawnOwnedEntities(room, playerId) {
+    room.entities.forEach(entity => {
+        if (entity.ownerId === playerId && getEntityKind(entity.kind).authority === AUTHORITY.OWNER) {
+            despawnEntity(room, entity, 'ownerLeft');
+        }
+    });
+}
+
+// Echo a clock sync ping with our time so the client can estimate offset and round trip
+function handleTimeSync(ws, data) {
+    if (!Number.isFinite(data.clientTime)) return;
+    ws.send(JSON.stringify({
+        type: MSG.TIME_SYNC,
+        clientTime: data.clientTime,
+        serverTime: Date.now()
+    }));
+}
+
+function handleStartMatch(ws, client) {
+    const room = rooms.get(client.roomCode);
+    if (!room) return;
+    if (!room.isHost(ws)) {
+        sendError(ws, ERRORS.NOT_HOST, 'Only the host can start a match');
+        return;
+    }
+
+    const now = Date.now();
+    if (room.match.start(now)) {
+        console.log(`Client ${client.id} started a match in room ${room.code}`);
+        handleMatchPhaseChange(room, now);
+    }
+}
+
+// Development only: simulate a bad network on everything the room sends to its players
+function handleNetConditions(ws, client, data) {
+    const room = rooms.get(client.roomCode);
+    if (!room) return;
+
+    if (!ALLOW_NET_SIM) {
+        sendError(ws, ERRORS.NET_SIM_DISABLED, 'Start the server with ALLOW_NET_SIM=1 to simulate network conditions');
+        return;
+    }
+
+    const conditions = normalizeConditions(data);
+    room.setNetConditions(hasConditions(conditions) ? conditions : null);
+    console.log(`Client ${client.id} set network conditions for room ${room.code}:`, conditions);
+
+    broadcastToRoom(room.code, {
+        type: MSG.NET_CONDITIONS,
+        senderId: client.id,
+        conditions
+    });
+}
+
+// Apply a phase's side effects to the game state and tell the room
+function handleMatchPhaseChange(room, now) {
+    const { match, game } = room;
+    if (match.phase === Match.PHASES.COUNTDOWN) {
+        game.reset();
+        room.removeEntities(entity => entity.kind === 'bird');
+    } else if (match.phase === Match.PHASES.RESULTS) {
+        // Everyone still in the room, scored or not; the leaderboard keeps only positive scores
+        const players = getRoomPlayers(room);
+        match.results = game.getResults(players.map(player => player.id));
+        game.clearBirds();
+        room.removeEntities(entity => entity.kind === 'bird'); // Clients clear their own when spawning stops
+        const names = new Map(players.map(player => [player.id, player.name]));
+        leaderboard.record(room.mode, room.code, match.results.map(result => ({
+            ...result,
+            name: names.get(result.playerId)
+        })), now);
+    }
+
+    console.log(`Room ${room.code} entered ${match.phase}`);
+    broadcastToRoom(room.code, {
+        type: MSG.MATCH_PHASE,
+        ...match.getState(now)
+    });
+}
+
+function removeClientFromRoom(ws, client) {
+    const room = rooms.get(client.roomCode);
+    client.roomCode = null;
+    client.pose = null;
+    client.poseFrame = null;
+    if (!room || !room.clients.has(ws)) return;
+
+    room.game.removePlayer(client.id);
+    despawnOwnedEntities(room, client.id);
+    console.log(`Client ${client.id} left room ${room.code}`);
+
+    // Notify others in room
+    detachFromRoom(room, ws, {
+        type: MSG.PLAYER_LEFT,
+        id: client.id
+    });
+}
+
+// Take a dropped client's socket out of its room but keep their id and score for RESUME_WINDOW
+function suspendClient(ws, client) {
+    const room = rooms.get(client.roomCode);
+    if (!room || !room.clients.has(ws)) {
+        sessions.delete(client.resumeToken);
+        return;
+    }
+
+    console.log(`Client ${client.id} dropped from room ${room.code}, holding for ${RESUME_WINDOW}ms`);
+    room.hold(client.id);
+    detachFromRoom(room, ws, {
+        type: MSG.PLAYER_RECONNECTING,
+        id: client.id
+    });
+
+    client.resumeTimer = setTimeout(() => {
+        client.resumeTimer = null;
+        sessions.delete(client.resumeToken);
+
+        const currentRoom = rooms.get(client.roomCode);
+        client.roomCode = null;
+        if (currentRoom) {
+            currentRoom.release(client.id);
+            currentRoom.game.removePlayer(client.id);
+            despawnOwnedEntities(currentRoom, client.id);
+            broadcastToRoom(currentRoom.code, {
+                type: MSG.PLAYER_LEFT,
+                id: client.id
+            });
+        }
+        console.log(`Client ${client.id} did not resume in time`);
+    }, RESUME_WINDOW);
+}
+
+// Drop a socket that a resuming client has replaced, as if it had closed normally first
+function retireStaleSocket(client) {
+    const staleWs = client.ws;
+    console.log(`Client ${client.id} resumed over a stale socket`);
+    clients.delete(staleWs);
+    client.ws = null;
+
+    const room = rooms.get(client.roomCode);
+    if (room && room.clients.has(staleWs)) {
+        detachFromRoom(room, staleWs, {
+            type: MSG.PLAYER_RECONNECTING,
+            id: client.id
+        });
+    }
+    staleWs.terminate();
+}
+
+// Ping every socket and drop the ones that stayed silent for HEARTBEAT_TIMEOUT; the close
+// handler then holds their place for RESUME_WINDOW before telling the room they left
+function checkHeartbeats() {
+    const now = Date.now();
+    clients.forEach((client, ws) => {
+        if (now - client.lastSeen > HEARTBEAT_TIMEOUT) {
+            console.log(`Client ${client.id} missed heartbeats for ${now - client.lastSeen}ms, terminating`);
+            ws.terminate();
+        } else if (ws.readyState === WebSocket.OPEN) {
+            ws.ping();
+        }
+    });
+}
+
+function resumeClient(ws, client) {
+    clearTimeout(client.resumeTimer);
+    client.resumeTimer = null;
+
+    const room = rooms.get(client.roomCode);
+    if (!room) {
+        client.roomCode = null;
+        ws.send(JSON.stringify({
+            type: MSG.RESUME_FAILED
+        }));
+        return;
+    }
+
+    // A held place is always free; a player resuming over a stale socket had none held,
+    // so others may have filled the room in the meantime
+    if (!room.release(client.id) && room.isFull) {
+        console.log(`Client ${client.id} cannot resume: room ${room.code} is full`);
+        client.roomCode = null;
+        room.game.removePlayer(client.id);
+        despawnOwnedEntities(room, client.id);
+        broadcastToRoom(room.code, {
+            type: MSG.PLAYER_LEFT,
+            id: client.id
+        });
+        ws.send(JSON.stringify({
+            type: MSG.RESUME_FAILED,
+            code: ERRORS.ROOM_FULL
+        }));
+        return;
+    }
+
+    room.add(ws);
+    console.log(`Client ${client.id} resumed in room ${room.code}`);
+
+    sendWithSnapshot(ws, room, {
+        type: MSG.RESUMED,
+        roomCode: room.code,
+        hostId: clients.get(room.hostWs).id
+    });
+
+    broadcastToRoom(room.code, {
+        type: MSG.PLAYER_RESUMED,
+        id: client.id
+    }, ws);
+}
+
+// Remove a socket from its room, tell the others, then close or re-host the room as needed
+function detachFromRoom(room, ws, notice) {
+    const wasHost = room.isHost(ws);
+    room.remove(ws);
+    broadcastToRoom(room.code, notice);
+
+    if (room.size === 0) {
+        // Keep the room around briefly so a dropped host can come back to it
+        console.log(`Room ${room.code} is empty, closing in ${ROOM_GRACE_PERIOD}ms`);
+        room.scheduleClose(ROOM_GRACE_PERIOD, closeRoom);
+    } else if (wasHost) {
+        migrateHost(room);
+    }
+}
+
+function closeRoom(room) {
+    if (rooms.get(room.code) === room && room.size === 0) {
+        rooms.delete(room.code);
+        console.log(`Room ${room.code} deleted`);
+    }
+}
+
+// Everyone in the room except `ws`, including players holding their place while they reconnect
+function getRoomPlayers(room, ws) {
+    const players = [];
+    room.clients.forEach(playerWs => {
+        if (playerWs !== ws) {
+            players.push(clients.get(playerWs));
+        }
+    });
+    sessions.forEach(other => {
+        if (!other.ws && other.roomCode === room.code) {
+            players.push(other);
+        }
+    });
+    return players;
+}
+
+// Everything a joining client needs to rebuild the room: poses, birds, scores and the match clock
+function buildSnapshot(room, ws) {
+    return {
+        players: getRoomPlayers(room, ws).map(player => ({
+            id: player.id,
+            reconnecting: !player.ws,
+            ...player.pose
+        })),
+        ...room.getState(Date.now())
+    };
+}
+
+// Send a confirmation carrying a room snapshot, followed by the last binary pose of each player
+function sendWithSnapshot(ws, room, message) {
+    const payload = {
+        ...message,
+        snapshot: buildSnapshot(room, ws)
+    };
+    ws.send(JSON.stringify(payload));
+
+    getRoomPlayers(room, ws).forEach(player => {
+        if (player.poseFrame) {
+            ws.send(player.poseFrame);
+        }
+    });
+    return payload;
+}
+
+// Relay a binary position frame untouched, prefixed with the sender's id
+function handlePoseFrame(ws, client, frame) {
+    const room = rooms.get(client.roomCode);
+    if (!room || !room.clients.has(ws)) return;
+
+    const header = Buffer.alloc(POSE_HEADER_BYTES);
+    header.writeUInt32LE(client.id);
+    client.poseFrame = Buffer.concat([header, frame]);
+    client.pose = null;
+    room.relay(client.poseFrame, ws);
+}
+
+function migrateHost(room) {
+    const hostWs = room.electHost();
+    const host = clients.get(hostWs);
+    console.log(`Client ${host.id} is now host of room ${room.code}`);
+
+    broadcastToRoom(room.code, {
+        type: MSG.HOST_CHANGED,
+        hostId: host.id,
+        state: room.getState(Date.now())
+    });
+}
+
+// Advance every room's match clock and bullets, broadcasting phase changes and hit verdicts
+function tickGames() {
+    const now = Date.now();
+    for (const [roomCode, room] of rooms) {
+        if (room.match.update(now)) {
+            handleMatchPhaseChange(room, now);
+        }
+
+        const { hits, expiredBirds } = room.game.step(now);
+        hits.forEach(hit => {
+            console.log(`Client ${hit.shooterId} ${hit.killed ? 'downed' : 'hit'} bird ${hit.birdId} in room ${roomCode}`);
+            if (hit.killed) {
+                room.removeEntity(hit.birdId); // birdHit tells clients to remove it
+            } else {
+                // Late joiners see the damage too
+                const entity = room.entities.get(hit.birdId);
+                if (entity) {
+                    entity.state.health = hit.health;
+                }
+            }
+            broadcastToRoom(roomCode, {
+                type: MSG.BIRD_HIT,
+                data: hit
+            });
+        });
+        expiredBirds.forEach(id => {
+            const entity = room.entities.get(id);
+            if (entity) {
+                despawnEntity(room, entity, 'expired');
+            }
+        });
+    }
+}
+
 function broadcastToRoom(roomCode, message, exclude = null) {
     const room = rooms.get(roomCode);
     if (room) {
-        const messageStr = JSON.stringify(message);
-        room.forEach(client => {
-            if (client !== exclude && client.readyState === WebSocket.OPEN) {
-                client.send(messageStr);
-            }
-        });
+        room.broadcast(message, exclude);
     }
 }
 
-// Start server
-server.listen(port, () => {
-    console.log(`Server running at:`);
-    console.log(`- Local: https://localhost:${port}`);
-    console.log(`- Network: https://${ip.address()}:${port}`);
-}).on('error', (error) => {
-    console.error('Failed to start server:', error);
+// Load the shared modules, then start ticking and accepting connections
+Promise.all([
+    import('../shared/protocol.mjs'),
+    import('../shared/networkConditions.mjs'),
+    import('../shared/entities.mjs'),
+    import('../shared/flocking.mjs'),
+    import('../shared/birdTypes.mjs'),
+    import('../shared/weapons.mjs'),
+    import('../shared/ballistics.mjs')
+]).then(([protocol, netConditions, entities, flocking, birdTypes, weapons, ballistics]) => {
+    MSG = protocol.MESSAGE_TYPES;
+    ERRORS = protocol.ERROR_CODES;
+    PROTOCOL_VERSION = protocol.PROTOCOL_VERSION;
+    validateClientMessage = protocol.validateClientMessage;
+    normalizeConditions = netConditions.normalizeConditions;
+    hasConditions = netConditions.hasConditions;
+    roomShared = {
+        SimulatedLink: netConditions.SimulatedLink,
+        Flock: flocking.Flock,
+        isFlockMember: flocking.isFlockMember,
+        getBirdType: birdTypes.getBirdType,
+        isBirdType: birdTypes.isBirdType,
+        BIRD_LIFESPAN: birdTypes.BIRD_LIFESPAN,
+        isWeaponType: weapons.isWeaponType,
+        getWeaponType: weapons.getWeaponType,
+        getShotFlight: weapons.getShotFlight,
+        getShotDamage: weapons.getShotDamage,
+        projectilePositionAt: ballistics.projectilePositionAt,
+        BULLET_RADIUS: ballistics.BULLET_RADIUS,
+        BULLET_LIFESPAN: ballistics.BULLET_LIFESPAN
+    };
+
+    // Catch species typos and oversized flocks in the wave file before anyone plays it
+    checkWaves(Match.WAVES, { isBirdType: birdTypes.isBirdType, maxFlockSize: flocking.MAX_FLOCK_SIZE });
+    ({ getEntityKind, canControlEntity, AUTHORITY, KIND_PATTERN, MAX_ENTITY_ID_LENGTH } = entities);
+
+    setInterval(tickGames, 1000 / TICK_RATE);
+    setInterval(checkHeartbeats, HEARTBEAT_INTERVAL);
+
+    server.listen(port, () => {
+        console.log(`Server running at:`);
+        console.log(`- Local: https://localhost:${port}`);
+        console.log(`- Network: https://${ip.address()}:${port}`);
+    }).on('error', (error) => {
+        console.error('Failed to start server:', error);
+    });
+}).catch(error => {
+    console.error('Failed to load shared modules:', error);
+    process.exit(1);
 });
@@ -0,0 +1,113 @@
+// Wave schedule for the playing phase, authored in JSON (server/waves.json by default,
+// or WAVES_FILE). The server checks it once at startup and sends it to clients with the
+// match state; they work out the current wave from the match clock, so waves need no
+// messages of their own.
+//
+// Each wave follows an intermission (the file's default `intermission` ms, or the wave's own):
+//   name           Shown on the wave banner
+//   duration       ms of spawning
+//   spawnInterval  ms between flocks
+//   flockSize      Birds per flock, at most MAX_FLOCK_SIZE (shared/flocking.mjs)
+//   maxBirds       Cap on birds alive at once
+//   speed          Multiplier on every species' flight speed
+//   composition    { species: weight } for picking each flock's species
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FILE = path.join(__dirname, 'waves.json');
+const POSITIVE_FIELDS = ['duration', 'spawnInterval', 'flockSize', 'maxBirds', 'speed'];
+
+// `rules` carries the limits from the shared catalogues, which only load once server.js has
+// imported them: { maxFlockSize, isBirdType }. Without them those checks are skipped.
+function validateWave(wave, index, defaultIntermission, rules = {}) {
+    const label = `wave ${index + 1}`;
+    if (!wave || typeof wave !== 'object') {
+        throw new Error(`${label} must be an object`);
+    }
+    POSITIVE_FIELDS.forEach(field => {
+        if (!Number.isFinite(wave[field]) || wave[field] <= 0) {
+            throw new Error(`${label}: ${field} must be a positive number`);
+        }
+    });
+    if (!Number.isInteger(wave.flockSize) || !Number.isInteger(wave.maxBirds)) {
+        throw new Error(`${label}: flockSize and maxBirds must be whole numbers`);
+    }
+    if (rules.maxFlockSize && wave.flockSize > rules.maxFlockSize) {
+        throw new Error(`${label}: flockSize may be at most ${rules.maxFlockSize}`);
+    }
+
+    const intermission = wave.intermission === undefined ? defaultIntermission : wave.intermission;
+    if (!Number.isFinite(intermission) || intermission < 0) {
+        throw new Error(`${label}: intermission must be a number of ms`);
+    }
+
+    const composition = wave.composition || {};
+    const weights = Object.values(composition);
+    if (weights.length === 0 || weights.some(weight => !Number.isFinite(weight) || weight < 0) ||
+        !weights.some(weight => weight > 0)) {
+        throw new Error(`${label}: composition needs at least one species with a positive weight`);
+    }
+    const unknown = rules.isBirdType && Object.keys(composition).find(species => !rules.isBirdType(species));
+    if (unknown) {
+        throw new Error(`${label}: unknown species ${unknown}`);
+    }
+
+    return {
+        name: typeof wave.name === 'string' ? wave.name : `Wave ${index + 1}`,
+        intermission,
+        duration: wave.duration,
+        spawnInterval: wave.spawnInterval,
+        flockSize: wave.flockSize,
+        maxBirds: wave.maxBirds,
+        speed: wave.speed,
+        composition: { ...composition }
+    };
+}
+
+// Read and check a schedule file; throws with the offending wave and field
+function loadWaves(file = DEFAULT_FILE, rules = {}) {
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Failed to read waves from ${file}: ${error.message}`);
+    }
+
+    const defaultIntermission = data.intermission === undefined ? 0 : data.intermission;
+    if (!Array.isArray(data.waves) || data.waves.length === 0) {
+        throw new Error(`${file} must list at least one wave`);
+    }
+    try {
+        return data.waves.map((wave, index) => validateWave(wave, index, defaultIntermission, rules));
+    } catch (error) {
+        throw new Error(`Invalid ${file}: ${error.message}`);
+    }
+}
+
+// Check already loaded waves again once the shared `rules` are available
+function checkWaves(waves, rules) {
+    try {
+        waves.forEach((wave, index) => validateWave(wave, index, wave.intermission, rules));
+    } catch (error) {
+        throw new Error(`Invalid waves: ${error.message}`);
+    }
+}
+
+// Which wave `elapsed` ms into the playing phase falls in; an intermission counts toward the
+// wave after it and the last wave carries on past the schedule, as in the client's WaveManager
+function getWaveIndexAt(waves, elapsed) {
+    let time = 0;
+    for (let index = 0; index < waves.length; index++) {
+        time += waves[index].intermission + waves[index].duration;
+        if (elapsed < time) return index;
+    }
+    return waves.length - 1;
+}
+
+// How long the whole schedule runs, intermissions included
+function getScheduleDuration(waves) {
+    return waves.reduce((total, wave) => total + wave.intermission + wave.duration, 0);
+}
+
+module.exports = { loadWaves, checkWaves, validateWave, getWaveIndexAt, getScheduleDuration };
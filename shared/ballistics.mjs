@@ -0,0 +1,50 @@
+// Projectile flight, shared by the server (server/gameState.js), which decides hits, and the
+// client (client/js/entities/Bullet.js), which draws the shot. Positions come from a closed-form
+// solution for time since the shot, so every frame rate and tick rate sees the same path.
+//
+// A flight is { speed, gravity, drag }:
+//   speed    Launch speed, m/s
+//   gravity  Downward acceleration, m/s²; 0 flies straight
+//   drag     Linear drag, 1/s: with no gravity, speed falls by e^(-drag * t)
+
+export const GRAVITY = 9.81;
+export const BULLET_RADIUS = 0.03; // Added to a bird's hitRadius when testing a shot against it
+export const BULLET_LIFESPAN = 2000; // ms a shot flies before it's dropped, hit or not
+
+// Where a projectile launched from `origin` along unit `direction` is after `seconds`
+export function projectilePositionAt(origin, direction, flight, seconds) {
+    const { speed, gravity = 0, drag = 0 } = flight;
+    const t = Math.max(0, seconds);
+
+    // Integrate v' = g - drag * v; without drag that's the usual v0 t + g t² / 2
+    let along;
+    let fall;
+    if (drag > 0) {
+        along = (1 - Math.exp(-drag * t)) / drag;
+        fall = gravity * (t - along) / drag;
+    } else {
+        along = t;
+        fall = gravity * t * t / 2;
+    }
+
+    return [
+        origin[0] + direction[0] * speed * along,
+        origin[1] + direction[1] * speed * along - fall,
+        origin[2] + direction[2] * speed * along
+    ];
+}
+
+// Its velocity at the same moment, e.g. to point an arrow along its path
+export function projectileVelocityAt(direction, flight, seconds) {
+    const { speed, gravity = 0, drag = 0 } = flight;
+    const t = Math.max(0, seconds);
+
+    const decay = drag > 0 ? Math.exp(-drag * t) : 1;
+    const fallSpeed = drag > 0 ? gravity * (1 - decay) / drag : gravity * t;
+
+    return [
+        direction[0] * speed * decay,
+        direction[1] * speed * decay - fallSpeed,
+        direction[2] * speed * decay
+    ];
+}
@@ -0,0 +1,81 @@
+// Bird species, shared by the server (server/gameState.js), which decides hits and scores,
+// and the client (client/js/managers/BirdManager.js), which spawns and draws them.
+//
+//   health       Hits needed to bring one down
+//   speed        Multiplier on the flock's flight speeds and turning force
+//   size         Multiplier on the pigeon model's scale
+//   hitRadius    Radius of the hit sphere, in metres
+//   points       Score for the kill; negative for decoys you shouldn't shoot
+//   spawnWeight  How often the host picks this species for a new flock, relative to the others
+//   tint         Colour multiplied into the model, or null to keep the pigeon's own
+
+export const BIRD_TYPES = Object.freeze({
+    pigeon: Object.freeze({
+        name: 'Pigeon',
+        health: 1,
+        speed: 1,
+        size: 1,
+        hitRadius: 0.15,
+        points: 10,
+        spawnWeight: 6,
+        tint: null
+    }),
+    // Big and slow, takes three hits
+    crow: Object.freeze({
+        name: 'Crow',
+        health: 3,
+        speed: 0.8,
+        size: 1.4,
+        hitRadius: 0.2,
+        points: 30,
+        spawnWeight: 2,
+        tint: 0x303040
+    }),
+    // Small and quick, hard to hit
+    swift: Object.freeze({
+        name: 'Swift',
+        health: 1,
+        speed: 1.8,
+        size: 0.6,
+        hitRadius: 0.09,
+        points: 25,
+        spawnWeight: 2,
+        tint: 0x8a5a30
+    }),
+    // Decoy: costs points if shot
+    dove: Object.freeze({
+        name: 'Dove',
+        health: 1,
+        speed: 0.9,
+        size: 1,
+        hitRadius: 0.15,
+        points: -20,
+        spawnWeight: 1,
+        tint: 0xffffff
+    })
+});
+
+export const DEFAULT_BIRD_TYPE = 'pigeon';
+export const BIRD_LIFESPAN = 50000; // ms a bird flies before it leaves, shot or not
+
+export function isBirdType(type) {
+    return Object.prototype.hasOwnProperty.call(BIRD_TYPES, type);
+}
+
+export function getBirdType(type) {
+    return isBirdType(type) ? BIRD_TYPES[type] : BIRD_TYPES[DEFAULT_BIRD_TYPE];
+}
+
+// Weighted pick by spawnWeight, or by `weights` ({ type: weight }, e.g. a wave's composition)
+// when given; `random` returns [0, 1)
+export function pickBirdType(random = Math.random, weights = null) {
+    const types = Object.keys(BIRD_TYPES).filter(type => !weights || weights[type] > 0);
+    const weightOf = type => weights ? weights[type] : BIRD_TYPES[type].spawnWeight;
+    const total = types.reduce((sum, type) => sum + weightOf(type), 0);
+    let roll = random() * total;
+    for (const type of types) {
+        roll -= weightOf(type);
+        if (roll < 0) return type;
+    }
+    return DEFAULT_BIRD_TYPE;
+}
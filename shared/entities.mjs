@@ -0,0 +1,35 @@
+// Replicated entity kinds, shared by the server (server/room.js) and the client
+// (client/js/network/ReplicationManager.js).
+//
+// Every networked object is an entity: { id, kind, ownerId, state, spawnTime }. `state` is
+// whatever the kind's serializer produces. Kinds listed here get special rules; any other
+// kind name is replicated with the defaults, so new object types need no protocol changes.
+
+export const AUTHORITY = Object.freeze({
+    OWNER: 'owner', // Only the player who spawned it may update or despawn it
+    HOST: 'host' // Whoever is host right now, so control survives host migration
+});
+
+const DEFAULT_KIND = Object.freeze({
+    authority: AUTHORITY.OWNER,
+    persistent: true // Kept by the server and sent to late joiners in the room snapshot
+});
+
+export const ENTITY_KINDS = Object.freeze({
+    bird: Object.freeze({ authority: AUTHORITY.HOST, persistent: true }),
+    bullet: Object.freeze({ authority: AUTHORITY.OWNER, persistent: false }) // Too short-lived to snapshot
+});
+
+export const KIND_PATTERN = /^[a-z][A-Za-z0-9_]{0,31}$/;
+export const MAX_ENTITY_ID_LENGTH = 64;
+
+export function getEntityKind(kind) {
+    return Object.prototype.hasOwnProperty.call(ENTITY_KINDS, kind) ? ENTITY_KINDS[kind] : DEFAULT_KIND;
+}
+
+// Whether `playerId` may update or despawn `entity` while `hostId` is host
+export function canControlEntity(entity, playerId, hostId) {
+    return getEntityKind(entity.kind).authority === AUTHORITY.HOST ?
+        playerId === hostId :
+        playerId === entity.ownerId;
+}
@@ -0,0 +1,253 @@
+// Deterministic boids flocking, shared by the server (server/gameState.js) and the client
+// (client/js/managers/BirdManager.js).
+//
+// A flock is fully described by { seed, size, startTime, speed }: every member's path follows
+// from stepping the simulation at a fixed rate from startTime, so clients only exchange those
+// numbers and never per-frame positions. To keep every machine on the same path:
+//   - only + - * / and Math.sqrt are used, which give identical results in every JS engine
+//   - randomness comes from the seeded generator below, drawn in a fixed order
+//   - shot birds keep flying (invisibly) in the simulation, so the survivors don't depend on
+//     when each client heard about a hit
+
+export const FLOCK_STEP = 1000 / 30; // ms of flight per simulation step
+export const MAX_FLOCK_SIZE = 8;
+
+// Where birds fly: the holographic room, 1m above the floor up to 1m below its ceiling
+export const FLIGHT_BOUNDS = Object.freeze({
+    minX: -2,
+    maxX: 2,
+    minY: 1,
+    maxY: 4,
+    minZ: -1.5,
+    maxZ: 1.5
+});
+
+// At speed 1; faster species scale all three
+const MIN_SPEED = 0.6; // m/s
+const MAX_SPEED = 1.6;
+const MAX_FORCE = 2.5; // m/s², how hard a bird can turn
+const NEIGHBOR_RADIUS = 1.2;
+const SEPARATION_RADIUS = 0.45;
+const WALL_MARGIN = 0.6; // Start turning this far from a wall
+
+const WEIGHTS = {
+    separation: 1.6,
+    alignment: 0.8,
+    cohesion: 0.6,
+    walls: 3,
+    wander: 0.4
+};
+
+// mulberry32: tiny, fast and built only from integer ops, so it's the same everywhere
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Whether { seed, flockSize, index } describe a valid flock member
+export function isFlockMember(state) {
+    return Boolean(state) &&
+        Number.isInteger(state.seed) && state.seed >= 0 && state.seed <= 0xFFFFFFFF &&
+        Number.isInteger(state.flockSize) && state.flockSize >= 1 && state.flockSize <= MAX_FLOCK_SIZE &&
+        Number.isInteger(state.index) && state.index >= 0 && state.index < state.flockSize;
+}
+
+export class Flock {
+    constructor(seed, size, startTime, { bounds = FLIGHT_BOUNDS, speed = 1 } = {}) {
+        this.seed = seed;
+        this.size = size;
+        this.startTime = startTime;
+        this.bounds = bounds;
+        this.speed = speed;
+        this.minSpeed = MIN_SPEED * speed;
+        this.maxSpeed = MAX_SPEED * speed;
+        this.maxForce = MAX_FORCE * speed;
+        this.random = createRandom(seed);
+        this.time = startTime; // Server time of the latest step
+
+        // [x, y, z] per member; the previous step is kept so poses can be interpolated between steps
+        this.positions = new Float64Array(size * 3);
+        this.velocities = new Float64Array(size * 3);
+        this.previous = new Float64Array(size * 3);
+        this.forces = new Float64Array(size * 3);
+
+        // Start as a loose group around a random point, all heading roughly the same way
+        const center = [
+            this.randomBetween(bounds.minX + WALL_MARGIN, bounds.maxX - WALL_MARGIN),
+            this.randomBetween(bounds.minY + WALL_MARGIN, bounds.maxY - WALL_MARGIN),
+            this.randomBetween(bounds.minZ + WALL_MARGIN, bounds.maxZ - WALL_MARGIN)
+        ];
+        const heading = [this.randomBetween(-1, 1), this.randomBetween(-0.2, 0.2), this.randomBetween(-1, 1)];
+        for (let i = 0; i < size; i++) {
+            for (let axis = 0; axis < 3; axis++) {
+                this.positions[i * 3 + axis] = center[axis] + this.randomBetween(-0.3, 0.3);
+                this.velocities[i * 3 + axis] = heading[axis] + this.randomBetween(-0.2, 0.2);
+            }
+            this.limitSpeed(i);
+        }
+        this.previous.set(this.positions);
+    }
+
+    randomBetween(min, max) {
+        return min + (max - min) * this.random();
+    }
+
+    // Run whole steps until the latest one is at or past `time`, so positionAt can interpolate
+    // up to it; late joiners catch up from startTime the same way
+    advanceTo(time) {
+        while (this.time < time) {
+            this.step(FLOCK_STEP / 1000);
+            this.time += FLOCK_STEP;
+        }
+    }
+
+    step(dt) {
+        const { positions, velocities, forces, size } = this;
+
+        for (let i = 0; i < size; i++) {
+            const force = [0, 0, 0];
+            const separation = [0, 0, 0];
+            const alignment = [0, 0, 0];
+            const cohesion = [0, 0, 0];
+            let neighbors = 0;
+
+            for (let j = 0; j < size; j++) {
+                if (j === i) continue;
+                const offset = [
+                    positions[i * 3] - positions[j * 3],
+                    positions[i * 3 + 1] - positions[j * 3 + 1],
+                    positions[i * 3 + 2] - positions[j * 3 + 2]
+                ];
+                const distanceSq = offset[0] * offset[0] + offset[1] * offset[1] + offset[2] * offset[2];
+                if (distanceSq > NEIGHBOR_RADIUS * NEIGHBOR_RADIUS) continue;
+
+                neighbors++;
+                for (let axis = 0; axis < 3; axis++) {
+                    alignment[axis] += velocities[j * 3 + axis];
+                    cohesion[axis] += positions[j * 3 + axis];
+                }
+                // Push apart harder the closer they are
+                if (distanceSq < SEPARATION_RADIUS * SEPARATION_RADIUS && distanceSq > 0) {
+                    for (let axis = 0; axis < 3; axis++) {
+                        separation[axis] += offset[axis] / distanceSq;
+                    }
+                }
+            }
+
+            if (neighbors > 0) {
+                for (let axis = 0; axis < 3; axis++) {
+                    alignment[axis] = alignment[axis] / neighbors - velocities[i * 3 + axis];
+                    cohesion[axis] = cohesion[axis] / neighbors - positions[i * 3 + axis];
+                }
+            }
+
+            const walls = this.wallAvoidance(i);
+            for (let axis = 0; axis < 3; axis++) {
+                force[axis] = separation[axis] * WEIGHTS.separation +
+                    alignment[axis] * WEIGHTS.alignment +
+                    cohesion[axis] * WEIGHTS.cohesion +
+                    walls[axis] * WEIGHTS.walls +
+                    this.randomBetween(-1, 1) * WEIGHTS.wander;
+            }
+            // Mostly level flight
+            force[1] *= 0.5;
+
+            const length = Math.sqrt(force[0] * force[0] + force[1] * force[1] + force[2] * force[2]);
+            const scale = length > this.maxForce ? this.maxForce / length : 1;
+            for (let axis = 0; axis < 3; axis++) {
+                forces[i * 3 + axis] = force[axis] * scale;
+            }
+        }
+
+        // Apply every force only once all are known, so member order doesn't matter
+        this.previous.set(positions);
+        for (let i = 0; i < size; i++) {
+            for (let axis = 0; axis < 3; axis++) {
+                velocities[i * 3 + axis] += forces[i * 3 + axis] * dt;
+            }
+            this.limitSpeed(i);
+            for (let axis = 0; axis < 3; axis++) {
+                positions[i * 3 + axis] += velocities[i * 3 + axis] * dt;
+            }
+            this.keepInBounds(i);
+        }
+    }
+
+    // Steer back towards the middle, harder the deeper a bird is into the margin
+    wallAvoidance(i) {
+        const { bounds, positions } = this;
+        const min = [bounds.minX, bounds.minY, bounds.minZ];
+        const max = [bounds.maxX, bounds.maxY, bounds.maxZ];
+        const steer = [0, 0, 0];
+        for (let axis = 0; axis < 3; axis++) {
+            const position = positions[i * 3 + axis];
+            if (position < min[axis] + WALL_MARGIN) {
+                steer[axis] = (min[axis] + WALL_MARGIN - position) / WALL_MARGIN;
+            } else if (position > max[axis] - WALL_MARGIN) {
+                steer[axis] = (max[axis] - WALL_MARGIN - position) / WALL_MARGIN;
+            }
+        }
+        return steer;
+    }
+
+    // Hard stop at the walls in case steering wasn't enough; bounce off them
+    keepInBounds(i) {
+        const { bounds, positions, velocities } = this;
+        const min = [bounds.minX, bounds.minY, bounds.minZ];
+        const max = [bounds.maxX, bounds.maxY, bounds.maxZ];
+        for (let axis = 0; axis < 3; axis++) {
+            const index = i * 3 + axis;
+            if (positions[index] < min[axis]) {
+                positions[index] = min[axis];
+                velocities[index] = Math.abs(velocities[index]);
+            } else if (positions[index] > max[axis]) {
+                positions[index] = max[axis];
+                velocities[index] = -Math.abs(velocities[index]);
+            }
+        }
+    }
+
+    limitSpeed(i) {
+        const { velocities } = this;
+        const x = velocities[i * 3];
+        const y = velocities[i * 3 + 1];
+        const z = velocities[i * 3 + 2];
+        const speed = Math.sqrt(x * x + y * y + z * z);
+
+        let scale = 1;
+        if (speed === 0) {
+            velocities[i * 3] = this.minSpeed;
+            return;
+        } else if (speed > this.maxSpeed) {
+            scale = this.maxSpeed / speed;
+        } else if (speed < this.minSpeed) {
+            scale = this.minSpeed / speed;
+        }
+        velocities[i * 3] = x * scale;
+        velocities[i * 3 + 1] = y * scale;
+        velocities[i * 3 + 2] = z * scale;
+    }
+
+    // Member `index`'s [x, y, z] at `time`, interpolated between the last two steps
+    positionAt(index, time, target = [0, 0, 0]) {
+        const alpha = Math.min(1, Math.max(0, 1 - (this.time - time) / FLOCK_STEP));
+        for (let axis = 0; axis < 3; axis++) {
+            const from = this.previous[index * 3 + axis];
+            target[axis] = from + (this.positions[index * 3 + axis] - from) * alpha;
+        }
+        return target;
+    }
+
+    velocityOf(index, target = [0, 0, 0]) {
+        for (let axis = 0; axis < 3; axis++) {
+            target[axis] = this.velocities[index * 3 + axis];
+        }
+        return target;
+    }
+}
@@ -0,0 +1,99 @@
+// Simulated bad network for development: latency, jitter, loss and reordering injected
+// into messages before they are sent or handled. Used by NetworkManager on the client
+// and, per room, by the server (server/room.js).
+//
+// WebSockets never lose or reorder messages on their own, so everything here is fake:
+// a "lost" message is simply never delivered.
+
+import { MESSAGE_TYPES as MSG } from './protocol.mjs';
+
+export const DEFAULT_CONDITIONS = Object.freeze({
+    latency: 0, // ms added to every message
+    jitter: 0, // ms of extra random delay, 0..jitter
+    loss: 0, // Chance a message is dropped, 0..1
+    reorder: 0 // Chance a message is held back so later ones overtake it, 0..1
+});
+
+const MAX_DELAY = 5000; // ms, for latency and jitter each
+const MIN_REORDER_HOLD = 50; // ms a reordered message waits beyond its normal delay
+
+// Session handshakes are never dropped, otherwise a lossy client could not even get into a room
+export const LOSSLESS_TYPES = new Set([
+    MSG.INIT,
+    MSG.ERROR,
+    MSG.HOST,
+    MSG.HOST_CONFIRM,
+    MSG.JOIN,
+    MSG.JOIN_CONFIRM,
+    MSG.AUTO_JOIN,
+    MSG.AUTO_JOIN_CONFIRM,
+    MSG.RESUMED,
+    MSG.RESUME_FAILED,
+    MSG.LEAVE,
+    MSG.NET_CONDITIONS
+]);
+
+function clamp(value, min, max) {
+    const number = Number(value);
+    return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : min;
+}
+
+// Clamp user input into a valid conditions object, filling gaps from `base`
+export function normalizeConditions(input = {}, base = DEFAULT_CONDITIONS) {
+    return {
+        latency: clamp(input.latency ?? base.latency, 0, MAX_DELAY),
+        jitter: clamp(input.jitter ?? base.jitter, 0, MAX_DELAY),
+        loss: clamp(input.loss ?? base.loss, 0, 1),
+        reorder: clamp(input.reorder ?? base.reorder, 0, 1)
+    };
+}
+
+export function hasConditions(conditions) {
+    return conditions.latency > 0 || conditions.jitter > 0 || conditions.loss > 0 || conditions.reorder > 0;
+}
+
+// One direction of one connection. Messages come out in order unless picked for
+// reordering, like a TCP stream stuck behind a slow packet.
+export class SimulatedLink {
+    constructor(conditions = { ...DEFAULT_CONDITIONS }) {
+        this.conditions = conditions; // Shared and edited in place by whoever owns the settings
+        this.lastDeliveryTime = 0;
+        this.stats = { delivered: 0, dropped: 0, reordered: 0 };
+    }
+
+    get enabled() {
+        return hasConditions(this.conditions);
+    }
+
+    // Call `deliver` after the simulated delay, or never if the message is lost.
+    // `type` is the message type, or null for binary position frames.
+    send(deliver, type = null) {
+        const { latency, jitter, loss, reorder } = this.conditions;
+        if (!this.enabled) {
+            this.stats.delivered++;
+            deliver();
+            return;
+        }
+
+        if (!LOSSLESS_TYPES.has(type) && Math.random() < loss) {
+            this.stats.dropped++;
+            return;
+        }
+
+        const now = Date.now();
+        let deliveryTime = now + latency + Math.random() * jitter;
+        if (Math.random() < reorder) {
+            // Hold this one back without blocking the queue behind it
+            deliveryTime += Math.max(jitter, MIN_REORDER_HOLD);
+            this.stats.reordered++;
+        } else {
+            deliveryTime = Math.max(deliveryTime, this.lastDeliveryTime);
+            this.lastDeliveryTime = deliveryTime;
+        }
+
+        setTimeout(() => {
+            this.stats.delivered++;
+            deliver();
+        }, deliveryTime - now);
+    }
+}
@@ -0,0 +1,227 @@
+// Wire protocol shared by the server (server/server.js) and the client
+// (client/js/network/NetworkManager.js): message type names, payload schemas
+// for everything clients send, error codes and the protocol version.
+//
+// Bump PROTOCOL_VERSION whenever a message shape changes incompatibly.
+
+export const PROTOCOL_VERSION = 3;
+
+export const MESSAGE_TYPES = Object.freeze({
+    // Session
+    INIT: 'init',
+    ERROR: 'error',
+    TIME_SYNC: 'timeSync',
+    RESUMED: 'resumed',
+    RESUME_FAILED: 'resumeFailed',
+
+    // Rooms
+    HOST: 'host',
+    HOST_CONFIRM: 'hostConfirm',
+    JOIN: 'join',
+    JOIN_CONFIRM: 'joinConfirm',
+    AUTO_JOIN: 'autoJoin',
+    AUTO_JOIN_CONFIRM: 'autoJoinConfirm',
+    LEAVE: 'leave',
+    HOST_CHANGED: 'hostChanged',
+
+    // Players
+    PLAYER_JOINED: 'playerJoined',
+    PLAYER_LEFT: 'playerLeft',
+    PLAYER_RECONNECTING: 'playerReconnecting',
+    PLAYER_RESUMED: 'playerResumed',
+    POSITION: 'position',
+    INTERACTION: 'interaction',
+
+    // Gameplay
+    START_MATCH: 'startMatch',
+    MATCH_PHASE: 'matchPhase',
+    BIRD_HIT: 'birdHit',
+
+    // Replicated entities (see shared/entities.mjs)
+    ENTITY_SPAWN: 'entitySpawn',
+    ENTITY_DESPAWN: 'entityDespawn',
+    ENTITY_STATE: 'entityState',
+
+    // Voice chat signalling
+    VOICE_READY: 'voice_ready',
+    VOICE_OFFER: 'voice_offer',
+    VOICE_ANSWER: 'voice_answer',
+    VOICE_ICE_CANDIDATE: 'voice_ice_candidate',
+    VOICE_STOP: 'voice_stop',
+
+    // Development
+    NET_CONDITIONS: 'netConditions'
+});
+
+export const ERROR_CODES = Object.freeze({
+    // Room admission
+    ROOM_NOT_FOUND: 'ROOM_NOT_FOUND',
+    ROOM_FULL: 'ROOM_FULL',
+    ROOM_EXISTS: 'ROOM_EXISTS',
+    PASSWORD_REQUIRED: 'PASSWORD_REQUIRED',
+    WRONG_PASSWORD: 'WRONG_PASSWORD',
+    ALREADY_IN_ROOM: 'ALREADY_IN_ROOM', // Sent host/join/autoJoin without leaving the current room
+
+    // Protocol
+    MALFORMED_MESSAGE: 'MALFORMED_MESSAGE', // Not JSON, or not an object with a string type
+    UNKNOWN_MESSAGE_TYPE: 'UNKNOWN_MESSAGE_TYPE',
+    INVALID_PAYLOAD: 'INVALID_PAYLOAD', // Known type, but a field is missing or has the wrong type
+    VERSION_MISMATCH: 'VERSION_MISMATCH',
+
+    // Flood protection
+    RATE_LIMITED: 'RATE_LIMITED',
+    MESSAGE_TOO_LARGE: 'MESSAGE_TOO_LARGE',
+
+    // Match
+    NOT_HOST: 'NOT_HOST', // Only the host may start a match
+
+    // Replication
+    ENTITY_LIMIT: 'ENTITY_LIMIT', // The spawn would take a player over their persistent entity cap
+    ENTITY_REJECTED: 'ENTITY_REJECTED', // The kind's game rules refused the spawn (e.g. a bird between matches)
+
+    // Development
+    NET_SIM_DISABLED: 'NET_SIM_DISABLED'
+});
+
+// Game modes a host can pick, id -> label. Each has its own leaderboard; the first is the default.
+export const GAME_MODES = Object.freeze({
+    classic: 'Classic'
+});
+
+// Field specs: a type name, optionally prefixed with '?' when the field may be omitted,
+// or a nested schema object for sub-payloads such as `data`.
+const VECTOR3 = 'vector3';
+const GAME_MODE = 'gameMode';
+
+const POSE_SCHEMA = {
+    time: '?number', // Sender's server-synced clock when the pose was taken
+    position: VECTOR3,
+    headPosition: `?${VECTOR3}`,
+    headRotation: `?${VECTOR3}`,
+    controllers: '?array'
+};
+
+const VOICE_SCHEMA = {
+    targetId: '?integer'
+};
+
+// Schemas for the messages clients may send. Every message may also carry `roomCode`.
+export const CLIENT_MESSAGE_SCHEMAS = Object.freeze({
+    [MESSAGE_TYPES.HOST]: {
+        roomCode: 'string',
+        isPrivate: '?boolean',
+        password: '?string',
+        maxPlayers: '?integer',
+        mode: `?${GAME_MODE}`,
+        name: '?string' // Player's display name, also their leaderboard identity
+    },
+    [MESSAGE_TYPES.JOIN]: {
+        roomCode: 'string',
+        password: '?string',
+        name: '?string'
+    },
+    [MESSAGE_TYPES.AUTO_JOIN]: {
+        name: '?string'
+    },
+    [MESSAGE_TYPES.LEAVE]: {},
+    [MESSAGE_TYPES.TIME_SYNC]: {
+        clientTime: 'number'
+    },
+    [MESSAGE_TYPES.POSITION]: POSE_SCHEMA,
+    [MESSAGE_TYPES.INTERACTION]: {},
+    [MESSAGE_TYPES.START_MATCH]: {},
+    // Kind-specific state (e.g. a bullet's position and direction) is checked by the server's entity hooks
+    [MESSAGE_TYPES.ENTITY_SPAWN]: {
+        entity: {
+            id: 'string',
+            kind: 'string',
+            state: 'object'
+        }
+    },
+    [MESSAGE_TYPES.ENTITY_DESPAWN]: {
+        id: 'string',
+        reason: '?string'
+    },
+    [MESSAGE_TYPES.ENTITY_STATE]: {
+        id: 'string',
+        state: 'object'
+    },
+    [MESSAGE_TYPES.VOICE_READY]: VOICE_SCHEMA,
+    [MESSAGE_TYPES.VOICE_OFFER]: { ...VOICE_SCHEMA, offer: 'object' },
+    [MESSAGE_TYPES.VOICE_ANSWER]: { ...VOICE_SCHEMA, answer: 'object' },
+    [MESSAGE_TYPES.VOICE_ICE_CANDIDATE]: { ...VOICE_SCHEMA, candidate: 'object' },
+    [MESSAGE_TYPES.VOICE_STOP]: VOICE_SCHEMA,
+    [MESSAGE_TYPES.NET_CONDITIONS]: {
+        latency: '?number',
+        jitter: '?number',
+        loss: '?number',
+        reorder: '?number'
+    }
+});
+
+function isNumberArray(value, length) {
+    return Array.isArray(value) &&
+        value.length === length &&
+        value.every(component => Number.isFinite(component));
+}
+
+const TYPE_CHECKS = {
+    string: value => typeof value === 'string',
+    number: value => Number.isFinite(value),
+    integer: value => Number.isInteger(value),
+    boolean: value => typeof value === 'boolean',
+    object: value => typeof value === 'object' && value !== null && !Array.isArray(value),
+    array: value => Array.isArray(value),
+    [VECTOR3]: value => isNumberArray(value, 3),
+    [GAME_MODE]: value => typeof value === 'string' && Object.prototype.hasOwnProperty.call(GAME_MODES, value)
+};
+
+// Returns the dotted path of the first field that doesn't match, or null if the payload fits
+function findInvalidField(payload, schema, prefix = '') {
+    for (const [field, spec] of Object.entries(schema)) {
+        const path = prefix + field;
+        const value = payload[field];
+
+        if (typeof spec === 'object') {
+            if (!TYPE_CHECKS.object(value)) return path;
+            const nested = findInvalidField(value, spec, `${path}.`);
+            if (nested) return nested;
+            continue;
+        }
+
+        const optional = spec.startsWith('?');
+        if (value === undefined || value === null) {
+            if (optional) continue;
+            return path;
+        }
+        if (!TYPE_CHECKS[optional ? spec.slice(1) : spec](value)) return path;
+    }
+    return null;
+}
+
+// Check a parsed client message; returns null if valid, otherwise { code, message }
+export function validateClientMessage(data) {
+    if (!TYPE_CHECKS.object(data) || typeof data.type !== 'string') {
+        return {
+            code: ERROR_CODES.MALFORMED_MESSAGE,
+            message: 'Messages must be JSON objects with a string type'
+        };
+    }
+
+    const schema = CLIENT_MESSAGE_SCHEMAS[data.type];
+    if (!schema) {
+        return {
+            code: ERROR_CODES.UNKNOWN_MESSAGE_TYPE,
+            message: `Unknown message type: ${data.type.slice(0, 64)}`
+        };
+    }
+
+    const field = findInvalidField(data, schema);
+    if (field) {
+        return {
+            code: ERROR_CODES.INVALID_PAYLOAD,
+            message: `Invalid or missing field '${field}' in ${data.type}`
+        };
+    }
+    return null;
+}
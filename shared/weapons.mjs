@@ -0,0 +1,91 @@
+// Weapon catalogue, shared by the server (server/gameState.js), which applies each
+// projectile's damage, and the client (client/js/managers/WeaponManager.js), which fires them.
+//
+//   fireInterval  Minimum ms between shots
+//   magazine      Shots before a reload
+//   reloadTime    ms a reload takes
+//   pellets       Projectiles per shot
+//   spread        Cone half-angle the pellets scatter in, radians
+//   speed         Launch speed of each projectile, m/s
+//   gravity       How hard its shots drop, m/s²; 0 flies straight (see shared/ballistics.mjs)
+//   drag          How quickly its shots slow down, 1/s
+//   damage        Health each projectile takes off a bird
+//   chargeTime    Draw time for a full-power shot; weapons without it fire on trigger press
+//   projectile    How its shots look: a coloured `ball` or an `arrow`
+
+import { GRAVITY } from './ballistics.mjs';
+
+export const WEAPON_TYPES = Object.freeze({
+    rifle: Object.freeze({
+        name: 'Rifle',
+        fireInterval: 250,
+        magazine: 8,
+        reloadTime: 1500,
+        pellets: 1,
+        spread: 0,
+        speed: 22,
+        gravity: 0,
+        drag: 0,
+        damage: 1,
+        projectile: Object.freeze({ shape: 'ball', color: 0xff0000, radius: 0.05 })
+    }),
+    shotgun: Object.freeze({
+        name: 'Shotgun',
+        fireInterval: 900,
+        magazine: 2,
+        reloadTime: 2000,
+        pellets: 6,
+        spread: 0.08,
+        speed: 18,
+        gravity: 0,
+        drag: 0.8, // Pellets slow quickly, so it's best up close
+        damage: 1,
+        projectile: Object.freeze({ shape: 'ball', color: 0xffaa00, radius: 0.025 })
+    }),
+    // Slower to fire, but a full draw flies fastest and hits twice as hard
+    bow: Object.freeze({
+        name: 'Bow',
+        fireInterval: 500,
+        magazine: 1,
+        reloadTime: 700,
+        pellets: 1,
+        spread: 0,
+        speed: 25,
+        gravity: GRAVITY, // Arrows arc; aim above distant birds
+        drag: 0,
+        damage: 2,
+        chargeTime: 1200,
+        projectile: Object.freeze({ shape: 'arrow', color: 0x8b5a2b, radius: 0.008 })
+    })
+});
+
+export const DEFAULT_WEAPON = 'rifle';
+export const MIN_CHARGE = 0.2; // A tap of the trigger still looses a weak arrow
+
+export function isWeaponType(type) {
+    return Object.prototype.hasOwnProperty.call(WEAPON_TYPES, type);
+}
+
+export function getWeaponType(type) {
+    return isWeaponType(type) ? WEAPON_TYPES[type] : WEAPON_TYPES[DEFAULT_WEAPON];
+}
+
+// Charge (0..1) only matters for weapons with a chargeTime; anything else always fires at full power
+function effectiveCharge(weapon, charge) {
+    if (!weapon.chargeTime) return 1;
+    return Number.isFinite(charge) ? Math.min(1, Math.max(MIN_CHARGE, charge)) : MIN_CHARGE;
+}
+
+// The shot's flight for shared/ballistics.mjs; a half-drawn bow launches slower
+export function getShotFlight(weapon, charge) {
+    return {
+        speed: weapon.speed * (0.4 + 0.6 * effectiveCharge(weapon, charge)),
+        gravity: weapon.gravity,
+        drag: weapon.drag
+    };
+}
+
+// Whole points of damage, never less than 1
+export function getShotDamage(weapon, charge) {
+    return Math.max(1, Math.round(weapon.damage * effectiveCharge(weapon, charge)));
+}
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const loadFlocking = () => import('../shared/flocking.mjs');
+const START = 1700000000000;
+
+function positionsAt(flock, time) {
+    return Array.from({ length: flock.size }, (_, index) => flock.positionAt(index, time));
+}
+
+test('the same seed and time give the same positions however the flock got there', async () => {
+    const { Flock } = await loadFlocking();
+    const end = START + 20000;
+
+    // A late joiner catches up in one go; a headset advances every frame at its own rate
+    const joined = new Flock(1234, 6, START, { speed: 1.3 });
+    joined.advanceTo(end);
+    for (const frame of [1000 / 72, 1000 / 90, 1000 / 120, 7]) {
+        const playing = new Flock(1234, 6, START, { speed: 1.3 });
+        for (let time = START; time < end; time += frame) {
+            playing.advanceTo(time);
+        }
+        playing.advanceTo(end);
+        assert.deepStrictEqual(positionsAt(playing, end), positionsAt(joined, end));
+    }
+});
+
+test('different seeds fly different paths', async () => {
+    const { Flock } = await loadFlocking();
+    const a = new Flock(1, 4, START);
+    const b = new Flock(2, 4, START);
+    a.advanceTo(START + 1000);
+    b.advanceTo(START + 1000);
+    assert.notDeepStrictEqual(positionsAt(a, START + 1000), positionsAt(b, START + 1000));
+});
+
+test('members stay inside the flight bounds at a speed the species allows', async () => {
+    const { Flock, FLIGHT_BOUNDS, FLOCK_STEP } = await loadFlocking();
+    const speed = 1.5;
+    const flock = new Flock(99, 8, START, { speed });
+    for (let time = START; time < START + 60000; time += FLOCK_STEP) {
+        flock.advanceTo(time);
+        for (let index = 0; index < flock.size; index++) {
+            const [x, y, z] = flock.positionAt(index, time);
+            assert.ok(x >= FLIGHT_BOUNDS.minX && x <= FLIGHT_BOUNDS.maxX, `x = ${x}`);
+            assert.ok(y >= FLIGHT_BOUNDS.minY && y <= FLIGHT_BOUNDS.maxY, `y = ${y}`);
+            assert.ok(z >= FLIGHT_BOUNDS.minZ && z <= FLIGHT_BOUNDS.maxZ, `z = ${z}`);
+            const velocity = flock.velocityOf(index);
+            const magnitude = Math.hypot(...velocity);
+            assert.ok(magnitude >= 0.6 * speed - 1e-9 && magnitude <= 1.6 * speed + 1e-9, `speed ${magnitude}`);
+        }
+    }
+});
+
+test('positions between steps are interpolated, not snapped', async () => {
+    const { Flock, FLOCK_STEP } = await loadFlocking();
+    const flock = new Flock(5, 1, START);
+    flock.advanceTo(START + FLOCK_STEP);
+    const from = flock.positionAt(0, START);
+    const to = flock.positionAt(0, START + FLOCK_STEP);
+    const middle = flock.positionAt(0, START + FLOCK_STEP / 2);
+    middle.forEach((value, axis) => {
+        assert.ok(Math.abs(value - (from[axis] + to[axis]) / 2) < 1e-6);
+    });
+});
+
+test('the seeded generator repeats and stays within [0, 1)', async () => {
+    const { createRandom } = await loadFlocking();
+    const a = createRandom(42);
+    const b = createRandom(42);
+    for (let i = 0; i < 1000; i++) {
+        const value = a();
+        assert.strictEqual(value, b());
+        assert.ok(value >= 0 && value < 1);
+    }
+});
+
+test('flock members need an unsigned seed and an index inside a flock that isn\'t too big', async () => {
+    const { isFlockMember, MAX_FLOCK_SIZE } = await loadFlocking();
+    assert.ok(isFlockMember({ seed: 0, flockSize: 1, index: 0 }));
+    assert.ok(isFlockMember({ seed: 0xFFFFFFFF, flockSize: MAX_FLOCK_SIZE, index: MAX_FLOCK_SIZE - 1 }));
+    for (const state of [
+        null,
+        { seed: -1, flockSize: 1, index: 0 },
+        { seed: 1.5, flockSize: 1, index: 0 },
+        { seed: 1, flockSize: MAX_FLOCK_SIZE + 1, index: 0 },
+        { seed: 1, flockSize: 2, index: 2 },
+        { seed: 1, flockSize: 2 }
+    ]) {
+        assert.strictEqual(isFlockMember(state), false, JSON.stringify(state));
+    }
+});
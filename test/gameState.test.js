@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const GameState = require('../server/gameState');
+
+async function createGame() {
+    const [flocking, birdTypes, weapons, ballistics] = await Promise.all([
+        import('../shared/flocking.mjs'),
+        import('../shared/birdTypes.mjs'),
+        import('../shared/weapons.mjs'),
+        import('../shared/ballistics.mjs')
+    ]);
+    return new GameState({
+        Flock: flocking.Flock,
+        isFlockMember: flocking.isFlockMember,
+        getBirdType: birdTypes.getBirdType,
+        isBirdType: birdTypes.isBirdType,
+        BIRD_LIFESPAN: birdTypes.BIRD_LIFESPAN,
+        isWeaponType: weapons.isWeaponType,
+        getWeaponType: weapons.getWeaponType,
+        getShotFlight: weapons.getShotFlight,
+        getShotDamage: weapons.getShotDamage,
+        projectilePositionAt: ballistics.projectilePositionAt,
+        BULLET_RADIUS: ballistics.BULLET_RADIUS,
+        BULLET_LIFESPAN: ballistics.BULLET_LIFESPAN
+    });
+}
+
+let nextId = 1;
+// `now` is when the server gets the bullet, which lags the shot on a slow connection
+function shoot(game, weapon, shotTime, hand = 1, now = shotTime) {
+    return game.addBullet({
+        id: `1:${nextId++}`,
+        position: [0, 1, 0],
+        direction: [0, 0, -1],
+        weapon,
+        shotTime,
+        hand
+    }, 1, now);
+}
+
+test('refuses shots faster than the fire interval', async () => {
+    const game = await createGame();
+    assert.ok(shoot(game, 'rifle', 1000));
+    assert.strictEqual(shoot(game, 'rifle', 1050), null);
+    assert.ok(shoot(game, 'rifle', 1250));
+});
+
+test('refuses shots from an empty magazine until a reload could have happened', async () => {
+    const game = await createGame();
+    for (let i = 0; i < 8; i++) {
+        assert.ok(shoot(game, 'rifle', 1000 + i * 250));
+    }
+    assert.strictEqual(shoot(game, 'rifle', 3000), null);
+    assert.ok(shoot(game, 'rifle', 2750 + 1500));
+});
+
+test('each hand has its own magazine', async () => {
+    const game = await createGame();
+    assert.ok(shoot(game, 'bow', 1000, 0));
+    assert.ok(shoot(game, 'bow', 1000, 1));
+    assert.strictEqual(shoot(game, 'bow', 1600, 1), null);
+});
+
+test('shotgun pellets share one shot, up to the pellet count', async () => {
+    const game = await createGame();
+    for (let i = 0; i < 6; i++) {
+        assert.ok(shoot(game, 'shotgun', 1000));
+    }
+    assert.strictEqual(shoot(game, 'shotgun', 1000), null);
+    assert.strictEqual(game.magazines.get('1:1').ammo, 1);
+});
+
+test('pellets of a laggy shotgun blast all count, whenever each arrives', async () => {
+    const game = await createGame();
+    // Over the rewind window behind, so every pellet's time is clamped to a different moment
+    const hits = [];
+    for (let i = 0; i < 6; i++) {
+        hits.push(Boolean(shoot(game, 'shotgun', 1000, 1, 1400 + i * 5)));
+    }
+    assert.deepStrictEqual(hits, [true, true, true, true, true, true]);
+
+    // A client clock running ahead is clamped to each arrival time too
+    const ahead = [];
+    for (let i = 0; i < 6; i++) {
+        ahead.push(Boolean(shoot(game, 'shotgun', 3040, 0, 3000 + i * 5)));
+    }
+    assert.deepStrictEqual(ahead, [true, true, true, true, true, true]);
+});
+
+test('refuses unknown weapons', async () => {
+    const game = await createGame();
+    assert.strictEqual(shoot(game, 'railgun', 1000), null);
+});
+
+test('results list every player, with 0 for anyone who never scored', async () => {
+    const game = await createGame();
+    game.addScore(2, 30);
+    assert.deepStrictEqual(game.getResults([1, 2, 3]), [
+        { playerId: 2, score: 30 },
+        { playerId: 1, score: 0 },
+        { playerId: 3, score: 0 }
+    ]);
+});
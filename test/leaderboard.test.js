@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Leaderboard = require('../server/leaderboard');
+
+function tempFile(t, entries) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'leaderboard-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'leaderboard.json');
+    if (entries) {
+        fs.writeFileSync(file, JSON.stringify({ entries }));
+    }
+    return file;
+}
+
+test('records positive scores under the player name', async (t) => {
+    const board = new Leaderboard(tempFile(t));
+    board.record('classic', 'ROOM1', [
+        { playerId: 1, name: 'Ana', score: 5 },
+        { playerId: 2, name: 'Ben', score: 0 },
+        { playerId: 3, score: 9 } // Never gave a name
+    ], 1000);
+    await board.saving;
+
+    assert.deepStrictEqual(board.getBoards(1000).allTime, [
+        { name: 'Ana', score: 5, mode: 'classic', roomCode: 'ROOM1', endedAt: 1000 }
+    ]);
+});
+
+test('drops entries saved before names were recorded', (t) => {
+    const board = new Leaderboard(tempFile(t, [
+        { playerId: 4, score: 3, mode: 'classic', roomCode: 'OLD', endedAt: 0 },
+        { name: 'Ana', score: 2, mode: 'classic', roomCode: 'OLD', endedAt: 0 }
+    ]));
+    assert.deepStrictEqual(board.entries.map(entry => entry.name), ['Ana']);
+});
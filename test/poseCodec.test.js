@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const loadCodec = () => Promise.all([import('../client/js/network/PoseCodec.js'), import('three')]);
+
+// Deterministic pseudo-random numbers so failures reproduce
+function seededRandom(seed) {
+    return () => {
+        seed = (seed * 16807) % 2147483647;
+        return (seed - 1) / 2147483646;
+    };
+}
+
+// Prefix a client frame with a sender id, as the server does when relaying it
+function relay(frame, senderId, SENDER_HEADER_BYTES) {
+    const relayed = new Uint8Array(SENDER_HEADER_BYTES + frame.byteLength);
+    new DataView(relayed.buffer).setUint32(0, senderId, true);
+    relayed.set(new Uint8Array(frame), SENDER_HEADER_BYTES);
+    return relayed.buffer;
+}
+
+// Angle in radians between the rotations two quaternions describe
+function angleBetween(a, b) {
+    const dot = Math.abs(a[0] * b[0] + a[1] * b[1] + a[2] * b[2] + a[3] * b[3]);
+    return 2 * Math.acos(Math.min(1, dot));
+}
+
+function randomQuaternion(random, THREE) {
+    return new THREE.Quaternion(random() - 0.5, random() - 0.5, random() - 0.5, random() - 0.5).normalize().toArray();
+}
+
+test('packed quaternions come back within a fraction of a degree', async () => {
+    const [{ packQuaternion, unpackQuaternion }, THREE] = await loadCodec();
+    const random = seededRandom(7);
+    for (let i = 0; i < 1000; i++) {
+        const q = randomQuaternion(random, THREE);
+        assert.ok(angleBetween(q, unpackQuaternion(packQuaternion(q))) < 0.005, `q = ${q}`);
+        // -q is the same rotation and must pack the same way
+        assert.strictEqual(packQuaternion(q.map(component => -component)), packQuaternion(q));
+    }
+    assert.deepStrictEqual(unpackQuaternion(packQuaternion([0, 0, 0, 1])), [0, 0, 0, 1]);
+});
+
+test('a pose survives encoding and relaying to millimetre precision', async () => {
+    const [{ encodePose, decodePoseFrame, SENDER_HEADER_BYTES }, THREE] = await loadCodec();
+    const random = seededRandom(42);
+    for (let i = 0; i < 100; i++) {
+        const vector = () => [(random() - 0.5) * 20, random() * 2, (random() - 0.5) * 20];
+        const pose = {
+            time: 1700000000000 + random() * 1000,
+            position: vector(),
+            headPosition: vector(),
+            headRotation: [(random() - 0.5) * Math.PI, (random() - 0.5) * 2 * Math.PI, (random() - 0.5) * Math.PI],
+            controllers: [
+                { position: vector(), rotation: randomQuaternion(random, THREE) },
+                { position: vector(), rotation: randomQuaternion(random, THREE) }
+            ]
+        };
+
+        const { senderId, pose: decoded } = decodePoseFrame(relay(encodePose(pose), 1234, SENDER_HEADER_BYTES));
+        assert.strictEqual(senderId, 1234);
+        assert.strictEqual(decoded.time, pose.time);
+
+        const closeTo = (actual, expected) => actual.forEach((value, axis) => {
+            assert.ok(Math.abs(value - expected[axis]) <= 0.0005, `${value} vs ${expected[axis]}`);
+        });
+        closeTo(decoded.position, pose.position);
+        closeTo(decoded.headPosition, pose.headPosition);
+
+        const toQuaternion = euler => new THREE.Quaternion().setFromEuler(new THREE.Euler(...euler)).toArray();
+        assert.ok(angleBetween(toQuaternion(decoded.headRotation), toQuaternion(pose.headRotation)) < 0.005);
+
+        assert.strictEqual(decoded.controllers.length, 2);
+        decoded.controllers.forEach((controller, index) => {
+            closeTo(controller.position, pose.controllers[index].position);
+            assert.ok(angleBetween(controller.rotation, pose.controllers[index].rotation) < 0.005);
+        });
+    }
+});
+
+test('positions out of range are clamped and extra controllers dropped', async () => {
+    const [{ encodePose, decodePoseFrame, SENDER_HEADER_BYTES }] = await loadCodec();
+    const controller = { position: [0, 1, 0], rotation: [0, 0, 0, 1] };
+    const frame = encodePose({
+        time: 0,
+        position: [100, -100, 0],
+        headPosition: [0, 1.6, 0],
+        headRotation: [0, 0, 0],
+        controllers: [controller, controller, controller]
+    });
+
+    const { pose } = decodePoseFrame(relay(frame, 1, SENDER_HEADER_BYTES));
+    assert.deepStrictEqual(pose.position, [32.767, -32.768, 0]);
+    assert.strictEqual(pose.controllers.length, 2);
+});
+
+test('frames of another kind or cut short decode to null', async () => {
+    const [{ encodePose, decodePoseFrame, SENDER_HEADER_BYTES }] = await loadCodec();
+    const frame = relay(encodePose({ time: 0, position: [0, 0, 0], headPosition: [0, 0, 0], headRotation: [0, 0, 0] }), 1, SENDER_HEADER_BYTES);
+
+    assert.strictEqual(decodePoseFrame(frame.slice(0, frame.byteLength - 1)), null);
+    assert.strictEqual(decodePoseFrame(frame.slice(0, SENDER_HEADER_BYTES + 1)), null);
+
+    const other = new Uint8Array(frame.slice(0));
+    other[SENDER_HEADER_BYTES] = 99;
+    assert.strictEqual(decodePoseFrame(other.buffer), null);
+});
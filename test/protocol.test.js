@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const loadProtocol = () => import('../shared/protocol.mjs');
+
+test('messages that aren\'t objects with a string type are malformed', async () => {
+    const { validateClientMessage } = await loadProtocol();
+    for (const data of [null, 'host', 42, [], {}, { type: 7 }]) {
+        assert.strictEqual(validateClientMessage(data).code, 'MALFORMED_MESSAGE');
+    }
+});
+
+test('message types clients may not send are unknown', async () => {
+    const { validateClientMessage } = await loadProtocol();
+    for (const type of ['init', 'birdHit', 'nonsense']) {
+        assert.strictEqual(validateClientMessage({ type }).code, 'UNKNOWN_MESSAGE_TYPE');
+    }
+});
+
+test('names the first missing or mistyped field, including nested ones', async () => {
+    const { validateClientMessage } = await loadProtocol();
+    const cases = [
+        [{ type: 'host' }, 'roomCode'],
+        [{ type: 'host', roomCode: 'ABCD', maxPlayers: 2.5 }, 'maxPlayers'],
+        [{ type: 'host', roomCode: 'ABCD', mode: 'unknown' }, 'mode'],
+        [{ type: 'timeSync', clientTime: NaN }, 'clientTime'],
+        [{ type: 'position', position: [0, 1] }, 'position'],
+        [{ type: 'position', position: [0, 1, 2], headRotation: [0, 'x', 0] }, 'headRotation'],
+        [{ type: 'entitySpawn', entity: { id: '1:1', kind: 'bullet', state: [] } }, 'entity.state'],
+        [{ type: 'entitySpawn', entity: 'bullet' }, 'entity']
+    ];
+    for (const [data, field] of cases) {
+        const error = validateClientMessage(data);
+        assert.strictEqual(error.code, 'INVALID_PAYLOAD');
+        assert.match(error.message, new RegExp(`'${field.replace('.', '\\.')}'`));
+    }
+});
+
+test('accepts well-formed messages, with optional fields left out or null', async () => {
+    const { validateClientMessage } = await loadProtocol();
+    const valid = [
+        { type: 'host', roomCode: 'ABCD' },
+        { type: 'host', roomCode: 'ABCD', isPrivate: true, password: 'pw', maxPlayers: 4, mode: 'classic', name: 'Ann' },
+        { type: 'join', roomCode: 'ABCD', password: null },
+        { type: 'leave', roomCode: 'ABCD' },
+        { type: 'position', position: [0, 1.6, 0], time: 1000 },
+        { type: 'entitySpawn', entity: { id: '1:1', kind: 'bullet', state: { weapon: 'rifle' } } },
+        { type: 'voice_offer', targetId: 2, offer: { sdp: '' } }
+    ];
+    for (const data of valid) {
+        assert.strictEqual(validateClientMessage(data), null, JSON.stringify(data));
+    }
+});
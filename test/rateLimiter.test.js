@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const RateLimiter = require('../server/rateLimiter');
+
+const { ALLOW, DROP, WARN, DISCONNECT } = RateLimiter.ACTIONS;
+
+// Defaults: timeSync allows a burst of 10 at 5/s, warnings come at 10 recent
+// violations, disconnects at 50, and violations are forgotten after 10s
+
+function spend(limiter, type, count, now) {
+    return Array.from({ length: count }, () => limiter.checkRate(type, now));
+}
+
+test('allows a burst, then drops until tokens refill at the sustained rate', () => {
+    const limiter = new RateLimiter();
+    assert.ok(spend(limiter, 'timeSync', 10, 0).every(action => action === ALLOW));
+    assert.strictEqual(limiter.checkRate('timeSync', 0), DROP);
+
+    assert.strictEqual(limiter.checkRate('timeSync', 100), DROP); // Half a token
+    assert.strictEqual(limiter.checkRate('timeSync', 200), ALLOW);
+    assert.deepStrictEqual(limiter.getViolationCounts(), { timeSync: 2 });
+});
+
+test('each type has its own bucket, and unknown or unparsed types share the default one', () => {
+    const limiter = new RateLimiter();
+    spend(limiter, 'timeSync', 10, 0);
+    assert.strictEqual(limiter.checkRate('position', 0), ALLOW);
+
+    assert.ok(spend(limiter, 'join', 10, 0).every(action => action === ALLOW));
+    assert.ok(spend(limiter, null, 10, 0).every(action => action === ALLOW));
+    assert.strictEqual(limiter.checkRate('bogus', 0), DROP);
+    assert.deepStrictEqual(limiter.getViolationCounts(), { default: 1 });
+});
+
+test('warns once per run of violations, then disconnects', () => {
+    const limiter = new RateLimiter();
+    spend(limiter, 'timeSync', 10, 0);
+
+    const actions = spend(limiter, 'timeSync', 50, 0);
+    assert.ok(actions.slice(0, 9).every(action => action === DROP));
+    assert.strictEqual(actions[9], WARN);
+    assert.ok(actions.slice(10, 49).every(action => action === DROP));
+    assert.strictEqual(actions[49], DISCONNECT);
+    assert.strictEqual(limiter.totalViolations, 50);
+});
+
+test('violations older than the window are forgotten, and a new run is warned again', () => {
+    const limiter = new RateLimiter();
+    spend(limiter, 'timeSync', 10, 0);
+    assert.strictEqual(spend(limiter, 'timeSync', 10, 0)[9], WARN);
+
+    // 20s later the bucket is full again, so drain it before the next run
+    spend(limiter, 'timeSync', 10, 20000);
+    const actions = spend(limiter, 'timeSync', 10, 20000);
+    assert.ok(actions.slice(0, 9).every(action => action === DROP));
+    assert.strictEqual(actions[9], WARN);
+});
+
+test('frames over the size cap count as oversized violations', () => {
+    const limiter = new RateLimiter();
+    assert.strictEqual(limiter.checkSize(RateLimiter.MAX_MESSAGE_BYTES, 0), ALLOW);
+    assert.strictEqual(limiter.checkSize(RateLimiter.MAX_MESSAGE_BYTES + 1, 0), DROP);
+    assert.deepStrictEqual(limiter.getViolationCounts(), { [RateLimiter.OVERSIZED]: 1 });
+});
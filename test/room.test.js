@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Room = require('../server/room');
+
+function spawn(room, id, ownerId, kind = 'prop') {
+    room.addEntity({ id, kind, ownerId, state: {}, spawnTime: 0 });
+}
+
+test('a player may own up to MAX_OWNED_ENTITIES persistent entities', () => {
+    const room = new Room('ABCD');
+    for (let i = 0; i < Room.MAX_OWNED_ENTITIES - 1; i++) {
+        spawn(room, `1:${i}`, 1);
+    }
+    assert.strictEqual(room.canOwnEntity(1), true);
+
+    spawn(room, '1:last', 1);
+    assert.strictEqual(room.canOwnEntity(1), false);
+});
+
+test('the cap is per owner', () => {
+    const room = new Room('ABCD');
+    for (let i = 0; i < Room.MAX_OWNED_ENTITIES; i++) {
+        spawn(room, `1:${i}`, 1);
+    }
+    assert.strictEqual(room.canOwnEntity(1), false);
+    assert.strictEqual(room.canOwnEntity(2), true);
+});
+
+test('only entities the filter picks count toward the cap', () => {
+    const room = new Room('ABCD');
+    for (let i = 0; i < Room.MAX_OWNED_ENTITIES; i++) {
+        spawn(room, `1:bird${i}`, 1, 'bird');
+    }
+    assert.strictEqual(room.canOwnEntity(1, entity => entity.kind !== 'bird'), true);
+
+    room.removeEntities(entity => entity.ownerId === 1);
+    assert.strictEqual(room.canOwnEntity(1), true);
+});
@@ -0,0 +1,279 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const WebSocket = require('ws');
+
+const SERVER = path.join(__dirname, '..', 'server', 'server.js');
+const TIMEOUT = 5000;
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.on('error', reject);
+        probe.listen(0, () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+// A real server on plain HTTP (NODE_ENV=production skips the dev certificates)
+async function startServer(t, env = {}) {
+    const port = await freePort();
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'server-test-'));
+    const child = spawn(process.execPath, [SERVER], {
+        env: {
+            ...process.env,
+            NODE_ENV: 'production',
+            PORT: String(port),
+            LEADERBOARD_FILE: path.join(dir, 'leaderboard.json'),
+            ...env
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    t.after(() => {
+        child.kill();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('Server did not start')), TIMEOUT);
+        child.stdout.on('data', chunk => {
+            if (chunk.toString().includes('Server running')) {
+                clearTimeout(timer);
+                resolve();
+            }
+        });
+        child.on('exit', code => reject(new Error(`Server exited with code ${code}`)));
+    });
+    return port;
+}
+
+// A test client: `next(type)` waits for the next message of that type
+async function connect(t, port) {
+    const { PROTOCOL_VERSION } = await import('../shared/protocol.mjs');
+    const ws = new WebSocket(`ws://localhost:${port}/?v=${PROTOCOL_VERSION}`);
+    const messages = [];
+    const waiting = [];
+    ws.on('message', (data, isBinary) => {
+        if (isBinary) return;
+        const message = JSON.parse(data);
+        messages.push(message);
+        const index = waiting.findIndex(waiter => waiter.type === message.type);
+        if (index !== -1) {
+            waiting.splice(index, 1)[0].resolve(message);
+        }
+    });
+    t.after(() => ws.terminate());
+
+    const client = {
+        ws,
+        messages,
+        send: message => ws.send(JSON.stringify(message)),
+        next: type => new Promise((resolve, reject) => {
+            const timer = setTimeout(() => reject(new Error(`No ${type} message`)), TIMEOUT);
+            waiting.push({
+                type,
+                resolve: message => {
+                    clearTimeout(timer);
+                    resolve(message);
+                }
+            });
+        })
+    };
+    const init = client.next('init');
+    await new Promise(resolve => ws.on('open', resolve));
+    client.id = (await init).id;
+    return client;
+}
+
+// Matches that start almost at once and open on a pigeon wave with no intermission
+async function startMatchServer(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'waves-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const wavesFile = path.join(dir, 'waves.json');
+    fs.writeFileSync(wavesFile, JSON.stringify({
+        intermission: 0,
+        waves: [
+            { duration: 60000, spawnInterval: 1000, flockSize: 2, maxBirds: 4, speed: 1, composition: { pigeon: 1 } },
+            { duration: 60000, spawnInterval: 1000, flockSize: 2, maxBirds: 4, speed: 1, composition: { crow: 1 } }
+        ]
+    }));
+    return startServer(t, { WAVES_FILE: wavesFile, COUNTDOWN_DURATION_MS: '50' });
+}
+
+async function playMatch(host) {
+    host.send({ type: 'startMatch' });
+    let phase;
+    do {
+        phase = await host.next('matchPhase');
+    } while (phase.phase !== 'playing');
+}
+
+function birdSpawn(host, n, state = {}) {
+    return {
+        type: 'entitySpawn',
+        entity: {
+            id: `${host.id}:${n}`,
+            kind: 'bird',
+            state: { type: 'pigeon', wave: 0, seed: n, flockSize: 1, index: 0, startTime: Date.now(), ...state }
+        }
+    };
+}
+
+async function getRooms(port) {
+    const response = await fetch(`http://localhost:${port}/api/rooms`);
+    return (await response.json()).rooms;
+}
+
+test('clients built for another protocol version are turned away', async (t) => {
+    const port = await startServer(t);
+    const { PROTOCOL_VERSION } = await import('../shared/protocol.mjs');
+    const ws = new WebSocket(`ws://localhost:${port}/?v=${PROTOCOL_VERSION - 1}`);
+    t.after(() => ws.terminate());
+
+    const message = new Promise(resolve => ws.once('message', data => resolve(JSON.parse(data))));
+    const closed = new Promise(resolve => ws.once('close', code => resolve(code)));
+    assert.deepStrictEqual(await message, {
+        type: 'error',
+        code: 'VERSION_MISMATCH',
+        message: 'This page is out of date. Please reload.',
+        protocolVersion: PROTOCOL_VERSION
+    });
+    assert.strictEqual(await closed, 1008);
+});
+
+test('a player in a room must leave it before hosting or joining another', async (t) => {
+    const port = await startServer(t);
+    const host = await connect(t, port);
+    const other = await connect(t, port);
+
+    host.send({ type: 'host', roomCode: 'ROOMA' });
+    await host.next('hostConfirm');
+    other.send({ type: 'host', roomCode: 'ROOMB' });
+    await other.next('hostConfirm');
+
+    for (const message of [
+        { type: 'host', roomCode: 'ROOMC' },
+        { type: 'join', roomCode: 'ROOMB' },
+        { type: 'autoJoin' }
+    ]) {
+        const error = host.next('error');
+        host.send(message);
+        assert.strictEqual((await error).code, 'ALREADY_IN_ROOM');
+    }
+
+    const rooms = await getRooms(port);
+    assert.deepStrictEqual(rooms.map(room => [room.code, room.players]).sort(), [['ROOMA', 1], ['ROOMB', 1]]);
+
+    // Leaving first works
+    host.send({ type: 'leave' });
+    host.send({ type: 'join', roomCode: 'ROOMB' });
+    await host.next('joinConfirm');
+    assert.deepStrictEqual((await getRooms(port)).map(room => [room.code, room.players]), [['ROOMB', 2]]);
+});
+
+test('a refused spawn is answered so the spawner can remove it', async (t) => {
+    const port = await startServer(t);
+    const host = await connect(t, port);
+    host.send({ type: 'host', roomCode: 'BIRDS' });
+    await host.next('hostConfirm');
+
+    // No match is running, so birds aren't allowed
+    const error = host.next('error');
+    host.send({
+        type: 'entitySpawn',
+        entity: { id: `${host.id}:1`, kind: 'bird', state: { type: 'pigeon', wave: 0, seed: 1, flockSize: 1, index: 0 } }
+    });
+    assert.deepStrictEqual(await error, {
+        type: 'error',
+        code: 'ENTITY_REJECTED',
+        message: 'The server refused this bird',
+        entityId: `${host.id}:1`
+    });
+});
+
+test('a bird\'s owner cannot rewrite what it is or how much health it has', async (t) => {
+    const port = await startMatchServer(t);
+    const host = await connect(t, port);
+    const other = await connect(t, port);
+    host.send({ type: 'host', roomCode: 'BIRDS' });
+    await host.next('hostConfirm');
+    other.send({ type: 'join', roomCode: 'BIRDS' });
+    await other.next('joinConfirm');
+    await playMatch(host);
+
+    const spawned = other.next('entitySpawn');
+    host.send(birdSpawn(host, 1));
+    const { entity } = await spawned;
+
+    for (const state of [{ health: 999 }, { type: 'crow' }, { seed: 2 }, { wave: 1 }, { index: 1 }]) {
+        host.send({ type: 'entityState', id: entity.id, state });
+    }
+    // Anything else still goes through, and arrives after whatever was relayed before it
+    const relayed = other.next('entityState');
+    host.send({ type: 'entityState', id: entity.id, state: { note: 'ok' } });
+    assert.deepStrictEqual((await relayed).state, { note: 'ok' });
+
+    const late = await connect(t, port);
+    const joined = late.next('joinConfirm');
+    late.send({ type: 'join', roomCode: 'BIRDS' });
+    const bird = (await joined).snapshot.entities.find(candidate => candidate.id === entity.id);
+    assert.strictEqual(bird.state.type, 'pigeon');
+    assert.strictEqual(bird.state.seed, 1);
+    assert.strictEqual(bird.state.health, undefined);
+});
+
+test('birds must belong to the wave being played and be one of its species', async (t) => {
+    const port = await startMatchServer(t);
+    const host = await connect(t, port);
+    host.send({ type: 'host', roomCode: 'WAVES' });
+    await host.next('hostConfirm');
+    await playMatch(host);
+
+    for (const [n, state] of [[1, { wave: 1, type: 'crow' }], [2, { wave: 0, type: 'crow' }], [3, { wave: 'x' }]]) {
+        const error = host.next('error');
+        host.send(birdSpawn(host, n, state));
+        assert.strictEqual((await error).entityId, `${host.id}:${n}`);
+    }
+
+    // The right wave and species is accepted, and nothing else is refused
+    host.send(birdSpawn(host, 4));
+    host.send({ type: 'host', roomCode: 'OTHER' });
+    assert.strictEqual((await host.next('error')).code, 'ALREADY_IN_ROOM');
+});
+
+test('only the host can start a match', async (t) => {
+    const port = await startServer(t);
+    const host = await connect(t, port);
+    const guest = await connect(t, port);
+    host.send({ type: 'host', roomCode: 'START' });
+    await host.next('hostConfirm');
+    guest.send({ type: 'join', roomCode: 'START' });
+    await guest.next('joinConfirm');
+
+    const error = guest.next('error');
+    guest.send({ type: 'startMatch' });
+    assert.strictEqual((await error).code, 'NOT_HOST');
+
+    const phase = host.next('matchPhase');
+    host.send({ type: 'startMatch' });
+    assert.strictEqual((await phase).phase, 'countdown');
+});
+
+test('a room keeps the mode its host picked, and unknown modes are refused', async (t) => {
+    const port = await startServer(t);
+    const host = await connect(t, port);
+
+    const error = host.next('error');
+    host.send({ type: 'host', roomCode: 'MODES', mode: 'deathmatch' });
+    assert.strictEqual((await error).code, 'INVALID_PAYLOAD');
+
+    host.send({ type: 'host', roomCode: 'MODES', mode: 'classic' });
+    await host.next('hostConfirm');
+    assert.deepStrictEqual((await getRooms(port)).map(room => [room.code, room.mode]), [['MODES', 'classic']]);
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const loadBuffer = () => Promise.all([import('../client/js/network/SnapshotBuffer.js'), import('three')]);
+
+// What Player hands to sample(): the avatar's live position and rotations
+function createTarget(THREE) {
+    return {
+        position: new THREE.Vector3(),
+        headPosition: new THREE.Vector3(),
+        headQuaternion: new THREE.Quaternion(),
+        controllers: [{ position: new THREE.Vector3(), quaternion: new THREE.Quaternion() }]
+    };
+}
+
+function pose(x, yaw = 0) {
+    return { position: [x, 0, 0], headPosition: [x, 1.6, 0], headRotation: [0, yaw, 0] };
+}
+
+// Poses arrive the moment they're taken, so rendering runs exactly `delay` behind
+test('renders between the two snapshots around the render time', async () => {
+    const [{ SnapshotBuffer }, THREE] = await loadBuffer();
+    const buffer = new SnapshotBuffer({ delay: 100 });
+    const target = createTarget(THREE);
+    buffer.push(1000, pose(0, 0));
+    buffer.push(1100, pose(10, Math.PI / 2));
+
+    assert.ok(buffer.sample(1150, target));
+    assert.ok(Math.abs(target.position.x - 5) < 1e-9);
+    assert.ok(Math.abs(target.headPosition.x - 5) < 1e-9);
+    const halfway = new THREE.Quaternion().setFromEuler(new THREE.Euler(0, Math.PI / 4, 0));
+    assert.ok(target.headQuaternion.angleTo(halfway) < 1e-6);
+
+    // Before the first snapshot it holds there
+    buffer.sample(1000, target);
+    assert.strictEqual(target.position.x, 0);
+});
+
+test('late packets slot in by time, and duplicates or ones too old are refused', async () => {
+    const [{ SnapshotBuffer }, THREE] = await loadBuffer();
+    const buffer = new SnapshotBuffer({ delay: 100 });
+    const target = createTarget(THREE);
+    assert.ok(buffer.push(1000, pose(0)));
+    assert.ok(buffer.push(1200, pose(20)));
+    assert.ok(buffer.push(1100, pose(4)));
+    assert.strictEqual(buffer.push(1100, pose(99)), false);
+    assert.deepStrictEqual(buffer.snapshots.map(snapshot => snapshot.time), [1000, 1100, 1200]);
+
+    buffer.sample(1250, target);
+    assert.ok(Math.abs(target.position.x - 12) < 1e-9);
+
+    // Sampling has dropped the snapshot at 1000, so nothing before 1100 fits any more
+    assert.strictEqual(buffer.push(1050, pose(2)), false);
+});
+
+test('runs on along the last velocity when data is late, but only for a while', async () => {
+    const [{ SnapshotBuffer }, THREE] = await loadBuffer();
+    const buffer = new SnapshotBuffer({ delay: 100, maxExtrapolation: 150 });
+    const target = createTarget(THREE);
+    buffer.push(1000, pose(0));
+    buffer.push(1100, pose(1));
+
+    buffer.sample(1300, target); // 100ms past the newest snapshot
+    assert.ok(Math.abs(target.position.x - 2) < 1e-9);
+    buffer.sample(5000, target);
+    assert.ok(Math.abs(target.position.x - 2.5) < 1e-9);
+});
+
+test('fields a pose leaves out carry over from the one before', async () => {
+    const [{ SnapshotBuffer }, THREE] = await loadBuffer();
+    const buffer = new SnapshotBuffer({ delay: 0 });
+    const target = createTarget(THREE);
+    buffer.push(1000, { ...pose(0), controllers: [{ position: [0.3, 1, 0], rotation: [0, 0, 0, 1] }] });
+    buffer.push(1100, { position: [1, 0, 0] });
+
+    buffer.sample(1100, target);
+    assert.strictEqual(target.position.x, 1);
+    assert.strictEqual(target.headPosition.y, 1.6);
+    assert.strictEqual(target.controllers[0].position.x, 0.3);
+});
+
+test('the render delay grows with the smoothed transit time', async () => {
+    const [{ SnapshotBuffer }] = await loadBuffer();
+    const buffer = new SnapshotBuffer({ delay: 100, latencySmoothing: 0.5 });
+    assert.strictEqual(buffer.sample(0, null), false);
+
+    buffer.push(1000, pose(0), 1040);
+    assert.strictEqual(buffer.renderDelay, 140);
+    buffer.push(1100, pose(1), 1180);
+    assert.strictEqual(buffer.renderDelay, 160);
+    assert.strictEqual(buffer.depthAt(1200), 1);
+
+    buffer.clear();
+    assert.strictEqual(buffer.size, 0);
+    assert.strictEqual(buffer.renderDelay, 100);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { loadWaves, checkWaves, validateWave, getWaveIndexAt, getScheduleDuration } = require('../server/waves');
+
+const WAVE = {
+    name: 'Test',
+    duration: 10000,
+    spawnInterval: 1000,
+    flockSize: 3,
+    maxBirds: 6,
+    speed: 1,
+    composition: { pigeon: 1 }
+};
+
+async function loadRules() {
+    const [flocking, birdTypes] = await Promise.all([
+        import('../shared/flocking.mjs'),
+        import('../shared/birdTypes.mjs')
+    ]);
+    return { maxFlockSize: flocking.MAX_FLOCK_SIZE, isBirdType: birdTypes.isBirdType };
+}
+
+test('the bundled schedule passes every check', async () => {
+    const waves = loadWaves(path.join(__dirname, '..', 'server', 'waves.json'), await loadRules());
+    assert.ok(waves.length > 0);
+    assert.ok(getScheduleDuration(waves) > 0);
+});
+
+test('fills in the default intermission and name', () => {
+    const { name, ...unnamed } = WAVE;
+    const wave = validateWave(unnamed, 1, 3000);
+    assert.strictEqual(wave.name, 'Wave 2');
+    assert.strictEqual(wave.intermission, 3000);
+});
+
+test('rejects missing, non-positive and fractional fields, naming the wave', () => {
+    assert.throws(() => validateWave({ ...WAVE, duration: 0 }, 0, 0), /wave 1: duration/);
+    assert.throws(() => validateWave({ ...WAVE, speed: 'fast' }, 2, 0), /wave 3: speed/);
+    assert.throws(() => validateWave({ ...WAVE, flockSize: 2.5 }, 0, 0), /whole numbers/);
+    assert.throws(() => validateWave({ ...WAVE, intermission: -1 }, 0, 0), /intermission/);
+    assert.throws(() => validateWave({ ...WAVE, composition: { pigeon: 0 } }, 0, 0), /composition/);
+});
+
+test('rejects flocks bigger than the shared flocking code can fly', async () => {
+    const rules = await loadRules();
+    assert.ok(validateWave({ ...WAVE, flockSize: rules.maxFlockSize }, 0, 0, rules));
+    assert.throws(() => validateWave({ ...WAVE, flockSize: rules.maxFlockSize + 1 }, 0, 0, rules),
+        /flockSize may be at most 8/);
+    assert.throws(() => checkWaves([{ ...WAVE, intermission: 0, flockSize: 10 }], rules), /Invalid waves: wave 1/);
+});
+
+test('rejects unknown species', async () => {
+    const rules = await loadRules();
+    assert.throws(() => validateWave({ ...WAVE, composition: { dodo: 1 } }, 0, 0, rules), /unknown species dodo/);
+});
+
+test('finds the wave being played, counting each intermission toward the wave after it', () => {
+    const waves = [
+        { intermission: 1000, duration: 5000 },
+        { intermission: 2000, duration: 5000 }
+    ];
+    assert.strictEqual(getWaveIndexAt(waves, 0), 0);
+    assert.strictEqual(getWaveIndexAt(waves, 5999), 0);
+    assert.strictEqual(getWaveIndexAt(waves, 6000), 1); // The break before wave 2
+    assert.strictEqual(getWaveIndexAt(waves, 60000), 1); // The last wave carries on
+    assert.strictEqual(getScheduleDuration(waves), 13000);
+});